@@ -12,6 +12,43 @@ const exampleChips = document.querySelectorAll('.example-chip');
 const searchSection = document.getElementById('search-section');
 const modal = document.getElementById('movie-modal');
 const modalClose = document.querySelector('.modal-close');
+const addSeedBtn = document.getElementById('add-seed-btn');
+const seedChipsContainer = document.getElementById('seed-chips');
+const servicesPanel = document.getElementById('services-panel');
+const servicesList = document.getElementById('services-list');
+const regionSelect = document.getElementById('region-select');
+const onlyMyServicesToggle = document.getElementById('only-my-services');
+const filterBar = document.getElementById('filter-bar');
+const strategySelect = document.getElementById('strategy-select');
+const suggestionsList = document.getElementById('suggestions');
+
+const MAX_SEEDS = 5;
+// Same bound the server's filter validation uses (current year + 10)
+const MAX_FILTER_YEAR = new Date().getFullYear() + 10;
+const selectedSeeds = [];
+
+const SEEN_STORAGE_KEY = 'gotnext_seen';
+const SERVICES_STORAGE_KEY = 'gotnext_services';
+const STRATEGY_STORAGE_KEY = 'gotnext_strategy';
+const STRATEGIES = ['quick', 'comprehensive', 'exhaustive'];
+// DEFAULT_STRATEGY in server/searchStrategies.js, the strategy the cache warmer pre-computes
+const DEFAULT_STRATEGY = 'quick';
+const REGIONS = ['US', 'GB', 'CA', 'AU', 'PH', 'IN', 'DE', 'FR', 'ES', 'IT', 'NL', 'SE', 'BR', 'MX', 'JP', 'KR'];
+// Re-runs the request behind the current grid (with the latest exclusions and filters) to refill it
+let reloadCurrentResults = null;
+let filterGenreType = null;
+// Titles the current results are based on, highlighted in the modal's comment excerpts
+let currentSeedTitles = [];
+
+const SUGGEST_DEBOUNCE_MS = 250;
+// pickSeed()/resolveSeed() result when the disambiguation picker is dismissed or replaced
+const SEED_CANCELLED = 'cancelled';
+let suggestTimer = null;
+let suggestController = null;
+let currentSuggestions = [];
+let activeSuggestion = -1;
+// Seed chosen from the typeahead or picker; reused while the input still shows its title
+let pickedSeed = null;
 
 function createPopcorn() {
     const container = document.getElementById('popcorn-container');
@@ -31,13 +68,73 @@ function createPopcorn() {
 setInterval(createPopcorn, 2000);
 
 recommendBtn.addEventListener('click', getEnhancedRecommendations);
-movieInput.addEventListener('keypress', (e) => {
-    if (e.key === 'Enter') getEnhancedRecommendations();
+addSeedBtn.addEventListener('click', addSeedFromInput);
+
+filterBar.querySelectorAll('input[name="year_min"], input[name="year_max"]').forEach(input => {
+    input.max = MAX_FILTER_YEAR;
+});
+filterBar.addEventListener('submit', (e) => {
+    e.preventDefault();
+    applyResultFilters();
+});
+filterBar.addEventListener('reset', () => {
+    // Let the form clear its fields before re-querying
+    setTimeout(applyResultFilters, 0);
+});
+
+strategySelect.value = getStrategy();
+strategySelect.addEventListener('change', () => {
+    localStorage.setItem(STRATEGY_STORAGE_KEY, strategySelect.value);
+});
+
+servicesPanel.addEventListener('toggle', () => {
+    if (servicesPanel.open && !servicesList.children.length) loadServicesPanel();
+});
+regionSelect.addEventListener('change', () => {
+    saveServiceSettings({ region: regionSelect.value });
+    loadServicesPanel();
+});
+onlyMyServicesToggle.addEventListener('change', () => {
+    saveServiceSettings({ onlyMine: onlyMyServicesToggle.checked });
+});
+servicesList.addEventListener('change', () => {
+    const providers = Array.from(servicesList.querySelectorAll('input:checked')).map(input => Number(input.value));
+    saveServiceSettings({ providers });
+});
+movieInput.addEventListener('input', () => {
+    pickedSeed = null;
+    clearTimeout(suggestTimer);
+    const query = movieInput.value.trim();
+    if (query.length < 2) {
+        hideSuggestions();
+        return;
+    }
+    suggestTimer = setTimeout(() => loadSuggestions(query), SUGGEST_DEBOUNCE_MS);
+});
+movieInput.addEventListener('keydown', (e) => {
+    const open = !suggestionsList.hidden && currentSuggestions.length > 0;
+    if (open && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        highlightSuggestion((activeSuggestion + step + currentSuggestions.length) % currentSuggestions.length);
+    } else if (e.key === 'Enter') {
+        if (open && activeSuggestion >= 0) {
+            e.preventDefault();
+            selectSuggestion(currentSuggestions[activeSuggestion]);
+        } else {
+            hideSuggestions();
+            getEnhancedRecommendations();
+        }
+    } else if (e.key === 'Escape' && open) {
+        e.stopPropagation();
+        hideSuggestions();
+    }
 });
 
 exampleChips.forEach(chip => {
     chip.addEventListener('click', () => {
         movieInput.value = chip.textContent;
+        pickedSeed = null;
         getEnhancedRecommendations();
     });
 });
@@ -57,70 +154,229 @@ function updateLoadingProgress(message) {
     }
 }
 
+function toSeed(suggestion) {
+    return {
+        type: suggestion.type,
+        id: suggestion.id,
+        title: suggestion.title,
+        year: suggestion.year,
+        searchTitle: suggestion.year ? `${suggestion.title} (${suggestion.year})` : suggestion.title
+    };
+}
+
+async function fetchSuggestions(query, options = {}) {
+    const response = await fetch(`${API_BASE_URL}/suggest?query=${encodeURIComponent(query)}`, options);
+    if (!response.ok) throw new Error(`Search failed: ${response.status}`);
+    return response.json();
+}
+
+async function loadSuggestions(query) {
+    if (suggestController) suggestController.abort();
+    suggestController = new AbortController();
+    try {
+        const data = await fetchSuggestions(query, { signal: suggestController.signal });
+        // The input may have changed while the request was in flight
+        if (movieInput.value.trim() !== query) return;
+        renderSuggestions(data.results || []);
+    } catch (error) {
+        if (error.name !== 'AbortError') console.warn('⚠️ Suggestions unavailable:', error.message);
+    }
+}
+
+function suggestionLabel(suggestion) {
+    const type = suggestion.type === 'tv' ? 'TV' : 'Movie';
+    return `${suggestion.year ? `${suggestion.year} · ` : ''}${type}`;
+}
+
+function renderSuggestions(suggestions) {
+    currentSuggestions = suggestions;
+    activeSuggestion = -1;
+    if (suggestions.length === 0 || document.activeElement !== movieInput) {
+        hideSuggestions();
+        return;
+    }
+    suggestionsList.innerHTML = suggestions.map((suggestion, i) => `
+        <li class="suggestion" role="option" id="suggestion-${i}" data-index="${i}">
+            ${suggestion.poster_path
+                ? `<img src="https://image.tmdb.org/t/p/w92${suggestion.poster_path}" alt="" loading="lazy">`
+                : '<span class="suggestion-thumb-empty"></span>'}
+            <span class="suggestion-text">
+                <span class="suggestion-title">${escapeHtml(suggestion.title)}</span>
+                <span class="suggestion-meta">${suggestionLabel(suggestion)}</span>
+            </span>
+        </li>
+    `).join('');
+    suggestionsList.querySelectorAll('.suggestion').forEach(item => {
+        // mousedown so the pick lands before the input's blur hides the list
+        item.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            selectSuggestion(currentSuggestions[Number(item.dataset.index)]);
+        });
+    });
+    suggestionsList.hidden = false;
+    movieInput.setAttribute('aria-expanded', 'true');
+}
+
+function highlightSuggestion(index) {
+    activeSuggestion = index;
+    suggestionsList.querySelectorAll('.suggestion').forEach((item, i) => {
+        item.classList.toggle('active', i === index);
+        item.setAttribute('aria-selected', String(i === index));
+    });
+    movieInput.setAttribute('aria-activedescendant', `suggestion-${index}`);
+}
+
+function hideSuggestions() {
+    clearTimeout(suggestTimer);
+    suggestionsList.hidden = true;
+    activeSuggestion = -1;
+    movieInput.setAttribute('aria-expanded', 'false');
+    movieInput.removeAttribute('aria-activedescendant');
+}
+
+function selectSuggestion(suggestion) {
+    pickedSeed = toSeed(suggestion);
+    movieInput.value = pickedSeed.searchTitle;
+    hideSuggestions();
+}
+
+// Shows same-name candidates in the results area and resolves with the chosen seed, or with
+// SEED_CANCELLED on Cancel or once anything else (a new search, the loading state) replaces it
+function pickSeed(query, matches) {
+    return new Promise(resolve => {
+        resultsContainer.innerHTML = `
+            <div class="seed-picker">
+                <p class="seed-picker-prompt">🎞️ Which "${escapeHtml(query)}" did you mean?</p>
+                <div class="seed-picker-options">
+                    ${matches.map((match, i) => `
+                        <button type="button" class="seed-picker-option" data-index="${i}">
+                            ${match.poster_path
+                                ? `<img src="https://image.tmdb.org/t/p/w92${match.poster_path}" alt="">`
+                                : '<span class="suggestion-thumb-empty"></span>'}
+                            <span class="suggestion-title">${escapeHtml(match.title)}</span>
+                            <span class="suggestion-meta">${suggestionLabel(match)}</span>
+                        </button>
+                    `).join('')}
+                </div>
+                <button type="button" class="seed-picker-cancel">Cancel</button>
+            </div>
+        `;
+        const picker = resultsContainer.querySelector('.seed-picker');
+        const replaced = new MutationObserver(() => {
+            if (!picker.isConnected) settle(SEED_CANCELLED);
+        });
+        const settle = (result) => {
+            replaced.disconnect();
+            resolve(result);
+        };
+        replaced.observe(resultsContainer, { childList: true });
+
+        picker.querySelectorAll('.seed-picker-option').forEach(option => {
+            option.addEventListener('click', () => settle(toSeed(matches[Number(option.dataset.index)])));
+        });
+        picker.querySelector('.seed-picker-cancel').addEventListener('click', () => {
+            settle(SEED_CANCELLED);
+            resultsContainer.innerHTML = '';
+            showGlowLine();
+        });
+    });
+}
+
+// The typeahead pick if the input still shows it; otherwise the server's best match, asking the
+// user to choose when the query names several titles ("Dune", "The Office")
+async function resolveSeed(query) {
+    if (pickedSeed && pickedSeed.searchTitle === query.trim()) return pickedSeed;
+    console.log(`🎬 User input: "${query}"`);
+
+    const data = await fetchSuggestions(query.trim());
+    if (!data.best) return null;
+
+    if (data.ambiguous) {
+        console.log(`🔀 "${data.query}" matches ${data.matches.length} titles, asking which one`);
+        const seed = await pickSeed(data.query, data.matches);
+        if (seed === SEED_CANCELLED) return SEED_CANCELLED;
+        pickedSeed = seed;
+        movieInput.value = seed.searchTitle;
+        return seed;
+    }
+
+    return toSeed(data.best);
+}
+
+async function addSeedFromInput() {
+    const query = movieInput.value.trim();
+    if (!query) return;
+
+    try {
+        const seed = await resolveSeed(query);
+        if (seed === SEED_CANCELLED) return;
+        if (!seed) {
+            showError(`No matches found for "${query}". Try a different title.`);
+            return;
+        }
+        if (selectedSeeds.length >= MAX_SEEDS) {
+            showError(`You can blend up to ${MAX_SEEDS} titles at once.`);
+            return;
+        }
+        if (!selectedSeeds.some(s => s.type === seed.type && s.id === seed.id)) {
+            selectedSeeds.push(seed);
+        }
+        movieInput.value = '';
+        pickedSeed = null;
+        renderSeedChips();
+    } catch (error) {
+        console.error('🚫 Error:', error);
+        showError(`Unable to add title: ${error.message}`);
+    }
+}
+
+function renderSeedChips() {
+    seedChipsContainer.innerHTML = '';
+    selectedSeeds.forEach((seed, index) => {
+        const chip = document.createElement('span');
+        chip.className = 'seed-chip';
+        chip.innerHTML = `${seed.title}${seed.year ? ` (${seed.year})` : ''} <span class="seed-chip-remove" title="Remove">&times;</span>`;
+        chip.querySelector('.seed-chip-remove').addEventListener('click', () => {
+            selectedSeeds.splice(index, 1);
+            renderSeedChips();
+        });
+        seedChipsContainer.appendChild(chip);
+    });
+}
+
 async function getEnhancedRecommendations() {
     const query = movieInput.value.trim();
-    if (!query) {
+
+    if (selectedSeeds.length > 0) {
+        if (query) await addSeedFromInput();
+        if (selectedSeeds.length > 1) {
+            await getBlendedRecommendations(selectedSeeds);
+            return;
+        }
+    } else if (!query) {
         showError('Enter movie title...');
         return;
     }
     
-    showLoading('Finding your next cinematic masterpiece');
+    hideSuggestions();
     clearPreviousResults();
     hideGlowLine();
     
     try {
-        let searchQuery = query.trim();
-        let yearFilter = null;
-        const yearMatch = query.match(/^(.+?)\s*\((\d{4})\)\s*$/);
-
-        if (yearMatch) {
-            searchQuery = yearMatch[1].trim();
-            yearFilter = yearMatch[2];
-            console.log(`🎬 User input: "${searchQuery}" (Year: ${yearFilter})`);
-        } else {
-            console.log(`🎬 User input: "${query}"`);
-        }
-        
-        const searchResponse = await fetch(`${API_BASE_URL}/search?query=${encodeURIComponent(searchQuery)}`);
-        
-        if (!searchResponse.ok) throw new Error(`Search failed: ${searchResponse.status}`);
+        // Resolved before the loading state so an ambiguous title can show the picker first
+        const seed = selectedSeeds.length === 1 ? selectedSeeds[0] : await resolveSeed(query);
         
-        const searchData = await searchResponse.json();
-        
-        if (!searchData.results || searchData.results.length === 0) {
+        // Whatever dismissed the picker owns the page now
+        if (seed === SEED_CANCELLED) return;
+        if (!seed) {
             showError(`No matches found for "${query}". Try a different title.`);
             showGlowLine();
             return;
         }
-                
-        let firstResult = searchData.results[0];
-
-        if (yearFilter && searchData.results.length > 1) {
-            const yearMatch = searchData.results.find(result => {
-                const releaseDate = result.release_date || result.first_air_date;
-                if (releaseDate) {
-                    const resultYear = releaseDate.split('-')[0];
-                    return resultYear === yearFilter;
-                }
-                return false;
-            });
-            
-            if (yearMatch) {
-                console.log(`✅ Found exact year match: ${yearMatch.title || yearMatch.name} (${yearFilter})`);
-                firstResult = yearMatch;
-            } else {
-                console.log(`⚠️ No exact ${yearFilter} match found, using best result`);
-            }
-        }
-        
-        const movieType = firstResult.media_type === 'tv' || firstResult.name ? 'tv' : 'movie';
-        const movieId = firstResult.id;
-        const movieTitle = firstResult.title || firstResult.name;
         
-        const movieReleaseDate = firstResult.release_date || firstResult.first_air_date;
-        const movieYear = movieReleaseDate ? movieReleaseDate.split('-')[0] : null;
+        showLoading('Finding your next cinematic masterpiece');
         
-        const searchTitleForReddit = movieYear ? `${movieTitle} (${movieYear})` : movieTitle;
+        const { type: movieType, id: movieId, title: movieTitle, year: movieYear, searchTitle: searchTitleForReddit } = seed;
         
         const displayTitle = movieTitle;
         const contentType = movieType === 'tv' ? 'TV Show' : 'Movie';
@@ -130,31 +386,27 @@ async function getEnhancedRecommendations() {
         updateLoadingProgress(`Searching Reddit communities for recommendations...`);
         
         document.querySelector('.section-title').textContent = `What you Got Next after "${movieTitle}"`;
+        currentSeedTitles = [movieTitle];
         
         updateLoadingProgress(`Analyzing community recommendations...`);
 
-        const checkInterval = setInterval(() => {
-            updateLoadingProgress(`Found recommendations, validating results...`);
-        }, 15000); 
-
-        const recommendResponse = await fetch(
-            `${API_BASE_URL}/ai-recommendations/${movieType}/${movieId}?comprehensive=true&searchTitle=${encodeURIComponent(searchTitleForReddit)}`
-        );
-        
-        if (!recommendResponse.ok) throw new Error(`Recommendations failed: ${recommendResponse.status}`);
-        
-        const recommendData = await recommendResponse.json();
+        const recommendPath = `/ai-recommendations/${movieType}/${movieId}`;
+        const recommendQuery = `comprehensive=${getStrategy()}&searchTitle=${encodeURIComponent(searchTitleForReddit)}&${servicesQueryString()}`;
+        const recommendData = await fetchRecommendations(recommendPath, `${recommendQuery}&${excludeQueryString()}&${filtersQueryString()}`);
+        reloadCurrentResults = async () => {
+            const response = await fetch(`${API_BASE_URL}${recommendPath}?${recommendQuery}&${excludeQueryString()}&${filtersQueryString()}`);
+            if (!response.ok) throw new Error(`Recommendations failed: ${response.status}`);
+            return (await response.json()).recommendations || [];
+        };
         console.log('🍿 Recommendation data received:', recommendData);
-
-        clearInterval(checkInterval); 
+        
+        showFilterBar(movieType);
         
         if (recommendData.recommendations && recommendData.recommendations.length > 0) {
             const redditRecs = recommendData.recommendations.filter(r => r.source_type === 'reddit');
             const tmdbRecs = recommendData.recommendations.filter(r => r.source_type === 'tmdb');
             
-            const displayRecs = redditRecs.length > 0 ? redditRecs : tmdbRecs;
-            
-            displayEnhancedMovies(displayRecs);
+            displayEnhancedMovies(recommendData.recommendations);
             displaySourceInfo({
                 ...recommendData,
                 metadata: {
@@ -169,7 +421,9 @@ async function getEnhancedRecommendations() {
                 displaySearchStats(recommendData.search_stats, recommendData.metadata);
             }
         } else {
-            showError(`No recommendations discovered for "${movieTitle}".`);
+            showError(recommendData.metadata?.filtered_out
+                ? `No recommendations for "${movieTitle}" match your filters.`
+                : `No recommendations discovered for "${movieTitle}".`);
             showGlowLine();
         }
         
@@ -180,70 +434,400 @@ async function getEnhancedRecommendations() {
     }
 }
 
-function displayEnhancedMovies(movies) {
-    resultsContainer.innerHTML = '';
-    
-    movies.forEach((movie, index) => {
-        const movieCard = document.createElement('div');
-        movieCard.className = 'movie-card';
-        
-        const posterPath = movie.poster_path 
-            ? `https://image.tmdb.org/t/p/w500${movie.poster_path}`
-            : 'https://via.placeholder.com/500x750/1c1c1c/888888?text=No+Poster';
-        
-        const title = movie.title || movie.name;
-        const contentType = movie.title ? 'movie' : 'tv';
-        const contentBadge = contentType === 'tv' ? '<span class="content-type-badge tv">TV</span>' : '';
-        const releaseDate = movie.release_date || movie.first_air_date;
-        const year = releaseDate ? releaseDate.split('-')[0] : 'TBA';
-        const rating = movie.vote_average ? movie.vote_average.toFixed(1) : 'N/A';
-        const overview = movie.overview || 'A cinematic experience awaits discovery.';
-        
-        const isRedditRec = movie.source_type === 'reddit';
-        const redditData = movie.reddit_data;
+async function getBlendedRecommendations(seeds) {
+    const seedNames = seeds.map(seed => `"${seed.title}"`);
+    showLoading(`Blending recommendations for ${seedNames.join(', ')}`);
+    clearPreviousResults();
+    hideGlowLine();
+    document.querySelector('.section-title').textContent =
+        `What you Got Next after ${seedNames.slice(0, -1).join(', ')} & ${seedNames[seedNames.length - 1]}`;
+    currentSeedTitles = seeds.map(seed => seed.title);
+
+    const requestBlend = async () => {
+        const response = await fetch(`${API_BASE_URL}/ai-recommendations/blend`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                seeds: seeds.map(({ type, id, searchTitle }) => ({ type, id, searchTitle })),
+                comprehensive: getStrategy(),
+                exclude: getSeenItems(),
+                ...getActiveFilters(),
+                ...(getServiceSettings().onlyMine ? {
+                    region: getServiceSettings().region,
+                    providers: getServiceSettings().providers
+                } : {})
+            })
+        });
         
-        let redditIndicator = isRedditRec ? '<div class="reddit-indicator">Community Pick</div>' : '';
+        if (!response.ok) throw new Error(`Blend failed: ${response.status}`);
+        return response.json();
+    };
+
+    try {
+        const blendData = await requestBlend();
+        reloadCurrentResults = async () => (await requestBlend()).recommendations || [];
+        console.log('🧬 Blend data received:', blendData);
+        showFilterBar(seeds[0].type);
         
-        let redditDataHTML = '';
-        if (isRedditRec && redditData && redditData.redditUrls && redditData.redditUrls.length > 0) {
-            redditDataHTML = `
-                <div class="reddit-data">
-                    <a href="${redditData.redditUrls[0]}" target="_blank" rel="noopener" class="reddit-link">
-                        📖 View Discussion →
-                    </a>
+        if (blendData.recommendations && blendData.recommendations.length > 0) {
+            displayEnhancedMovies(blendData.recommendations);
+            recommendationSource.innerHTML = `
+                <div class="recommendation-source">
+                    <span>🎭 Source:</span>
+                    <span class="source-badge source-hybrid">BLEND</span>
+                    <span style="font-size: 0.9rem; color: var(--text-muted);">
+                        ${blendData.metadata.shared_recommendations} picks shared by more than one of your ${blendData.seeds.length} titles
+                    </span>
                 </div>
             `;
+        } else {
+            showError('No recommendations discovered for that combination.');
+            showGlowLine();
         }
+    } catch (error) {
+        console.error('🚫 Error:', error);
+        showError(`Unable to fetch recommendations: ${error.message}`);
+        showGlowLine();
+    }
+}
+
+// Streams pipeline progress over SSE when available, falling back to a plain JSON request
+function fetchRecommendations(path, queryString) {
+    if (!window.EventSource) {
+        return fetch(`${API_BASE_URL}${path}?${queryString}`).then(response => {
+            if (!response.ok) throw new Error(`Recommendations failed: ${response.status}`);
+            return response.json();
+        });
+    }
+
+    return new Promise((resolve, reject) => {
+        const source = new EventSource(`${API_BASE_URL}${path}/stream?${queryString}`);
+        let postsChecked = 0;
+
+        const listen = (event, handler) => {
+            source.addEventListener(event, (e) => handler(JSON.parse(e.data)));
+        };
+
+        listen('search_started', (data) => {
+            updateLoadingProgress(`Searching ${data.subreddits.length} Reddit communities...`);
+        });
+        listen('subreddit_searched', (data) => {
+            updateLoadingProgress(`Found ${data.posts} posts in r/${data.subreddit}...`);
+        });
+        listen('posts_found', (data) => {
+            updateLoadingProgress(`Reading ${data.total} Reddit threads...`);
+        });
+        listen('post_parsing', (data) => {
+            postsChecked++;
+            updateLoadingProgress(`Reading thread ${postsChecked}: "${data.title}"`);
+        });
+        listen('recommendation', (data) => {
+            upsertStreamedMovie(data.recommendation);
+            updateLoadingProgress(`Found ${data.total} recommendations so far...`);
+        });
+        listen('fallback', () => {
+            updateLoadingProgress(`No community picks yet, checking the movie database...`);
+        });
+        listen('complete', (data) => {
+            source.close();
+            resolve(data);
+        });
+
+        source.addEventListener('error', (e) => {
+            source.close();
+            if (e.data) {
+                reject(new Error(JSON.parse(e.data).error));
+            } else {
+                reject(new Error('Recommendation stream interrupted'));
+            }
+        });
+    });
+}
+
+function getSeenItems() {
+    try {
+        return JSON.parse(localStorage.getItem(SEEN_STORAGE_KEY)) || [];
+    } catch (e) {
+        return [];
+    }
+}
+
+// The crawl strategy, sent as `comprehensive` (the server takes a strategy name there)
+function getStrategy() {
+    const saved = localStorage.getItem(STRATEGY_STORAGE_KEY);
+    return STRATEGIES.includes(saved) ? saved : DEFAULT_STRATEGY;
+}
+
+function getServiceSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SERVICES_STORAGE_KEY)) || {};
+        return { region: saved.region || 'US', providers: saved.providers || [], onlyMine: !!saved.onlyMine };
+    } catch (e) {
+        return { region: 'US', providers: [], onlyMine: false };
+    }
+}
+
+function saveServiceSettings(changes) {
+    localStorage.setItem(SERVICES_STORAGE_KEY, JSON.stringify({ ...getServiceSettings(), ...changes }));
+}
+
+function servicesQueryString() {
+    const { region, providers, onlyMine } = getServiceSettings();
+    return onlyMine && providers.length > 0 ? `region=${region}&providers=${providers.join(',')}` : '';
+}
+
+async function loadServicesPanel() {
+    const settings = getServiceSettings();
+    regionSelect.innerHTML = REGIONS
+        .map(region => `<option value="${region}" ${region === settings.region ? 'selected' : ''}>${region}</option>`)
+        .join('');
+    onlyMyServicesToggle.checked = settings.onlyMine;
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/watch-providers?type=movie&region=${settings.region}`);
+        if (!response.ok) throw new Error(`Failed: ${response.status}`);
+        const data = await response.json();
+        const selected = new Set(settings.providers);
         
-        movieCard.innerHTML = `
-            <div class="poster-container">
-                <img src="${posterPath}" alt="${title}" class="movie-poster" loading="lazy">
-                ${redditIndicator}
+        servicesList.innerHTML = data.providers.slice(0, 24).map(provider => `
+            <label class="service-option" title="${provider.provider_name}">
+                <input type="checkbox" value="${provider.provider_id}" ${selected.has(provider.provider_id) ? 'checked' : ''}>
+                <img src="https://image.tmdb.org/t/p/w92${provider.logo_path}" alt="${provider.provider_name}">
+            </label>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading streaming services:', error);
+        servicesList.innerHTML = '<p style="color: var(--text-muted);">Couldn\'t load streaming services.</p>';
+    }
+}
+
+function getActiveFilters() {
+    const filters = {};
+    new FormData(filterBar).forEach((value, name) => {
+        if (value !== '') filters[name] = value;
+    });
+    return filters;
+}
+
+function filtersQueryString() {
+    return new URLSearchParams(getActiveFilters()).toString();
+}
+
+async function showFilterBar(type) {
+    filterBar.hidden = false;
+    if (filterGenreType === type) return;
+    filterGenreType = type;
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/genres/${type}`);
+        if (!response.ok) throw new Error(`Failed: ${response.status}`);
+        const { genres } = await response.json();
+        const options = genres.map(genre => `<option value="${genre.id}">${genre.name}</option>`).join('');
+        
+        ['filter-with-genre', 'filter-without-genre'].forEach(selectId => {
+            const select = document.getElementById(selectId);
+            const previous = select.value;
+            select.innerHTML = select.options[0].outerHTML + options;
+            select.value = previous;
+        });
+    } catch (error) {
+        console.error('Error loading genres:', error);
+        filterGenreType = null;
+    }
+}
+
+// Re-queries the current results with the new filters; the server answers from its cache, no new Reddit crawl
+async function applyResultFilters() {
+    if (!reloadCurrentResults) return;
+    showLoading('Applying filters');
+    
+    try {
+        const movies = await reloadCurrentResults();
+        if (movies.length === 0) {
+            showError('Nothing matches these filters. Try loosening them.');
+            return;
+        }
+        displayEnhancedMovies(movies);
+    } catch (error) {
+        console.error('Error applying filters:', error);
+        showError(`Unable to apply filters: ${error.message}`);
+    }
+}
+
+function excludeQueryString() {
+    const seen = getSeenItems();
+    return seen.length > 0 ? `exclude=${encodeURIComponent(seen.join(','))}` : '';
+}
+
+function movieTypeOf(movie) {
+    return movie.media_type || (movie.title ? 'movie' : 'tv');
+}
+
+async function markAsSeen(movie, movieCard) {
+    const seen = getSeenItems();
+    const key = `${movieTypeOf(movie)}:${movie.id}`;
+    if (!seen.includes(key)) {
+        seen.push(key);
+        localStorage.setItem(SEEN_STORAGE_KEY, JSON.stringify(seen));
+    }
+
+    const visibleCount = resultsContainer.querySelectorAll('.movie-card').length;
+    movieCard.remove();
+    await refillResults(visibleCount);
+}
+
+async function refillResults(targetCount) {
+    if (!reloadCurrentResults) return;
+
+    try {
+        const movies = await reloadCurrentResults();
+        const shownIds = new Set(
+            Array.from(resultsContainer.querySelectorAll('.movie-card')).map(card => card.dataset.id)
+        );
+        let count = shownIds.size;
+        movies.forEach(movie => {
+            if (count >= targetCount || shownIds.has(String(movie.id))) return;
+            resultsContainer.appendChild(createMovieCard(movie, 0));
+            count++;
+        });
+    } catch (error) {
+        console.error('Error refilling results:', error);
+    }
+}
+
+function upsertStreamedMovie(movie) {
+    const existing = resultsContainer.querySelector(`.movie-card[data-id="${movie.id}"]`);
+    const movieCard = createMovieCard(movie, 0);
+    if (existing) {
+        existing.replaceWith(movieCard);
+    } else {
+        resultsContainer.appendChild(movieCard);
+    }
+}
+
+function displayEnhancedMovies(movies) {
+    resultsContainer.innerHTML = '';
+    
+    movies.forEach((movie, index) => {
+        resultsContainer.appendChild(createMovieCard(movie, index));
+    });
+}
+
+function createMovieCard(movie, index) {
+    const movieCard = document.createElement('div');
+    movieCard.className = 'movie-card';
+    movieCard.dataset.id = movie.id;
+    
+    const posterPath = movie.poster_path 
+        ? `https://image.tmdb.org/t/p/w500${movie.poster_path}`
+        : 'https://via.placeholder.com/500x750/1c1c1c/888888?text=No+Poster';
+    
+    const title = movie.title || movie.name;
+    const contentType = movie.title ? 'movie' : 'tv';
+    const contentBadge = contentType === 'tv' ? '<span class="content-type-badge tv">TV</span>' : '';
+    const releaseDate = movie.release_date || movie.first_air_date;
+    const year = releaseDate ? releaseDate.split('-')[0] : 'TBA';
+    const rating = movie.vote_average ? movie.vote_average.toFixed(1) : 'N/A';
+    const overview = movie.overview || 'A cinematic experience awaits discovery.';
+    
+    const isRedditRec = movie.source_type === 'reddit';
+    const redditData = movie.reddit_data;
+    
+    const bothSources = Array.isArray(movie.sources) && movie.sources.includes('reddit') && movie.sources.includes('tmdb');
+    let redditIndicator = isRedditRec
+        ? `<div class="reddit-indicator">${bothSources ? 'Community + DB Pick' : 'Community Pick'}</div>`
+        : '';
+    
+    let seedAttributionHTML = '';
+    if (movie.seed_attribution && movie.seed_attribution.length > 0) {
+        seedAttributionHTML = `
+            <div class="seed-attribution">
+                Because you liked ${movie.seed_attribution.map(seed => seed.title).join(', ')}
             </div>
-            <div class="movie-info">
-                <h3 class="movie-title">${title}${contentBadge}</h3>
-                <div class="movie-details">
-                    <span class="rating">${rating}</span>
-                    <span class="year">${year}</span>
-                </div>
-                <p class="movie-overview">${overview}</p>
-                ${redditDataHTML}
+        `;
+    }
+    
+    // Other entries of the same franchise, collapsed into this card by the server
+    const collectionItems = movie.collection && Array.isArray(movie.collection.items) ? movie.collection.items : [];
+    let collectionHTML = '';
+    if (collectionItems.length > 0) {
+        collectionHTML = `
+            <div class="collection-group">
+                <button type="button" class="collection-toggle" aria-expanded="false">
+                    +${collectionItems.length} more in ${escapeHtml(movie.collection.name)}
+                </button>
+                <ul class="collection-items" hidden>
+                    ${collectionItems.map((item, i) => `
+                        <li data-index="${i}">${escapeHtml(item.title)}${item.release_date ? ` (${item.release_date.split('-')[0]})` : ''}</li>
+                    `).join('')}
+                </ul>
             </div>
         `;
-        
-        movieCard.addEventListener('click', () => openMovieModal(movie));
-        
-        movieCard.style.opacity = '0';
-        movieCard.style.transform = 'translateY(50px)';
-        
-        setTimeout(() => {
-            movieCard.style.transition = 'all 0.6s cubic-bezier(0.4, 0, 0.2, 1)';
-            movieCard.style.opacity = '1';
-            movieCard.style.transform = 'translateY(0)';
-        }, index * 100);
-        
-        resultsContainer.appendChild(movieCard);
+    }
+    
+    let redditDataHTML = '';
+    const discussionHref = isRedditRec && redditData && redditData.redditUrls ? redditHref(redditData.redditUrls[0]) : null;
+    if (discussionHref) {
+        redditDataHTML = `
+            <div class="reddit-data">
+                <a href="${discussionHref}" target="_blank" rel="noopener" class="reddit-link">
+                    📖 View Discussion →
+                </a>
+            </div>
+        `;
+    }
+    
+    movieCard.innerHTML = `
+        <div class="poster-container">
+            <img src="${posterPath}" alt="${title}" class="movie-poster" loading="lazy">
+            ${redditIndicator}
+        </div>
+        <div class="movie-info">
+            <h3 class="movie-title">${title}${contentBadge}</h3>
+            <div class="movie-details">
+                <span class="rating">${rating}</span>
+                <span class="year">${year}</span>
+            </div>
+            <p class="movie-overview">${overview}</p>
+            ${seedAttributionHTML}
+            ${collectionHTML}
+            ${redditDataHTML}
+            <button class="seen-btn" title="Hide this and don't recommend it again">👁️ Seen it</button>
+        </div>
+    `;
+    
+    movieCard.addEventListener('click', () => openMovieModal(movie));
+    movieCard.querySelector('.seen-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        markAsSeen(movie, movieCard);
     });
+    
+    const collectionToggle = movieCard.querySelector('.collection-toggle');
+    if (collectionToggle) {
+        const list = movieCard.querySelector('.collection-items');
+        collectionToggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            list.hidden = !list.hidden;
+            collectionToggle.setAttribute('aria-expanded', String(!list.hidden));
+        });
+        list.querySelectorAll('li').forEach(entry => {
+            entry.addEventListener('click', (e) => {
+                e.stopPropagation();
+                openMovieModal(collectionItems[Number(entry.dataset.index)]);
+            });
+        });
+    }
+    
+    movieCard.style.opacity = '0';
+    movieCard.style.transform = 'translateY(50px)';
+    
+    setTimeout(() => {
+        movieCard.style.transition = 'all 0.6s cubic-bezier(0.4, 0, 0.2, 1)';
+        movieCard.style.opacity = '1';
+        movieCard.style.transform = 'translateY(0)';
+    }, index * 100);
+    
+    return movieCard;
 }
 
 async function openMovieModal(movie) {
@@ -278,31 +862,25 @@ async function openMovieModal(movie) {
             <div class="modal-meta-item"><strong>🎭 Genres:</strong> ${genres}</div>
         `;
         
-        // Streaming platforms (placeholder - would need JustWatch API)
+        // Streaming platforms (TMDB watch providers, powered by JustWatch)
         const streamingSection = document.getElementById('streaming-section');
         streamingSection.style.display = 'block';
-        document.getElementById('streaming-platforms').innerHTML = `
-            <p style="color: var(--text-muted); font-size: 0.95rem;">
-                Streaming availability coming soon. Check JustWatch, Reelgood, or Google for current options.
-            </p>
-        `;
+        loadStreamingProviders(movieType, movieId);
         
         // Reddit data
         const redditSection = document.getElementById('reddit-section');
         if (movie.source_type === 'reddit' && movie.reddit_data) {
             redditSection.style.display = 'block';
             const rd = movie.reddit_data;
+            const seedTitles = movie.seed_attribution
+                ? movie.seed_attribution.map(seed => seed.title)
+                : currentSeedTitles;
             document.getElementById('modal-reddit-data').innerHTML = `
                 <p style="color: var(--text-secondary); line-height: 1.8;">
                     This movie was recommended by the community with <strong>${rd.mentions || 1}</strong> mention(s) 
                     across <strong>${rd.subreddits ? rd.subreddits.length : 0}</strong> subreddit(s).
                 </p>
-                ${rd.redditUrls && rd.redditUrls.length > 0 ? `
-                    <a href="${rd.redditUrls[0]}" target="_blank" rel="noopener" class="reddit-link" 
-                       style="display: inline-block; margin-top: 15px; font-size: 1rem;">
-                        📖 View Reddit Discussion →
-                    </a>
-                ` : ''}
+                ${renderRedditContexts(rd, seedTitles)}
             `;
         } else {
             redditSection.style.display = 'none';
@@ -317,6 +895,122 @@ async function openMovieModal(movie) {
     }
 }
 
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function highlightTitles(text, titles) {
+    let html = escapeHtml(text);
+    titles.filter(Boolean).forEach(title => {
+        const pattern = escapeHtml(title).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        html = html.replace(new RegExp(`(${pattern})`, 'gi'), '<mark class="seed-highlight">$1</mark>');
+    });
+    return html;
+}
+
+const REDDIT_HOSTS = ['reddit.com', 'www.reddit.com'];
+
+// The URL escaped for an href if it is an https link into Reddit, otherwise null
+function redditHref(url) {
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'https:' && REDDIT_HOSTS.includes(parsed.hostname) ? escapeHtml(parsed.href) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Explain-why list: the comments that recommended this title, most upvoted first
+function renderRedditContexts(redditData, seedTitles) {
+    const contexts = (redditData.contexts || [])
+        .filter(context => context.excerpt)
+        .sort((a, b) => (b.upvotes || 0) - (a.upvotes || 0));
+    const quotedUrls = new Set(contexts.map(context => context.url));
+    const otherThreads = (redditData.redditUrls || [])
+        .filter(url => !quotedUrls.has(url))
+        .map(redditHref)
+        .filter(Boolean);
+    
+    const excerpts = contexts.map(context => {
+        const href = redditHref(context.comment_url || context.url);
+        return `
+        <blockquote class="reddit-context">
+            <p>${highlightTitles(context.excerpt, seedTitles)}</p>
+            <div class="reddit-context-meta">
+                ${context.upvotes !== null && context.upvotes !== undefined ? `<span>⬆️ ${context.upvotes}</span>` : ''}
+                <span>r/${escapeHtml(context.subreddit)}</span>
+                ${context.author ? `<span>u/${escapeHtml(context.author)}</span>` : ''}
+                ${context.source === 'endorsement' ? '<span>👍 agreed in a reply</span>' : ''}
+                ${href ? `
+                <a href="${href}" target="_blank" rel="noopener" class="reddit-link">
+                    ${context.thread_title ? `💬 ${highlightTitles(context.thread_title, seedTitles)}` : '📖 View thread'} →
+                </a>` : ''}
+            </div>
+        </blockquote>
+    `;
+    }).join('');
+    
+    const threads = otherThreads.map(url => `
+        <a href="${url}" target="_blank" rel="noopener" class="reddit-link">📖 View Reddit Discussion →</a>
+    `).join('');
+    
+    return `
+        ${excerpts ? `<div class="reddit-contexts">${excerpts}</div>` : ''}
+        ${threads ? `<div class="reddit-threads">${threads}</div>` : ''}
+    `;
+}
+
+async function loadStreamingProviders(movieType, movieId) {
+    const platforms = document.getElementById('streaming-platforms');
+    const { region } = getServiceSettings();
+    platforms.innerHTML = `<p style="color: var(--text-muted); font-size: 0.95rem;">Checking where to watch in ${region}...</p>`;
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/providers/${movieType}/${movieId}?region=${region}`);
+        if (!response.ok) throw new Error(`Failed: ${response.status}`);
+        const providers = await response.json();
+        
+        const groups = [
+            { label: 'Stream', items: [...providers.flatrate, ...providers.free, ...providers.ads] },
+            { label: 'Rent', items: providers.rent },
+            { label: 'Buy', items: providers.buy }
+        ].filter(group => group.items.length > 0);
+        
+        if (groups.length === 0) {
+            platforms.innerHTML = `
+                <p style="color: var(--text-muted); font-size: 0.95rem;">
+                    Not available to stream, rent or buy in ${providers.region} right now.
+                </p>
+            `;
+            return;
+        }
+        
+        const myServices = new Set(getServiceSettings().providers);
+        platforms.innerHTML = groups.map(group => `
+            <div class="provider-group">
+                <span class="provider-group-label">${group.label}</span>
+                ${group.items.map(provider => `
+                    <a href="${providers.link || '#'}" target="_blank" rel="noopener" title="${provider.provider_name}">
+                        <img class="platform-icon ${myServices.has(provider.provider_id) ? 'my-service' : ''}"
+                             src="https://image.tmdb.org/t/p/w92${provider.logo_path}" alt="${provider.provider_name}">
+                    </a>
+                `).join('')}
+            </div>
+        `).join('') + `<p class="provider-attribution">Availability in ${providers.region} via JustWatch</p>`;
+    } catch (error) {
+        console.error('Error fetching watch providers:', error);
+        platforms.innerHTML = `
+            <p style="color: var(--text-muted); font-size: 0.95rem;">
+                Couldn't load streaming availability right now.
+            </p>
+        `;
+    }
+}
+
 function closeModal() {
     modal.classList.remove('active');
     document.body.style.overflow = 'auto';
@@ -331,7 +1025,11 @@ function displaySourceInfo(data) {
     let badgeText = 'CINEMA DB';
     let sourceDescription = 'Database Recommendations';
     
-    if (hasRedditData && redditCount > 0) {
+    if (hasRedditData && redditCount > 0 && tmdbCount > 0) {
+        badgeClass = 'source-hybrid';
+        badgeText = 'HYBRID PICKS';
+        sourceDescription = `${redditCount} community picks blended with ${tmdbCount} database recommendations`;
+    } else if (hasRedditData && redditCount > 0) {
         badgeClass = 'source-reddit';
         badgeText = 'COMMUNITY PICKS';
         sourceDescription = `${redditCount} recommendations from Reddit communities`;
@@ -427,26 +1125,33 @@ function showGlowLine() {
 }
 
 // Load popular content
+async function fetchPopular() {
+    const response = await fetch(`${API_BASE_URL}/popular?${excludeQueryString()}`);
+    if (!response.ok) throw new Error(`Failed: ${response.status}`);
+    
+    const data = await response.json();
+    let combined = [];
+    if (data.movies) combined = combined.concat(data.movies.map(m => ({...m, source_type: 'tmdb'})));
+    if (data.tv) combined = combined.concat(data.tv.map(m => ({...m, source_type: 'tmdb'})));
+    
+    combined.sort((a, b) => (b.vote_average || 0) - (a.vote_average || 0));
+    return combined.slice(0, 12);
+}
+
 async function loadPopularContent() {
     showLoading('Loading featured cinema');
     
     try {
-        const response = await fetch(`${API_BASE_URL}/popular`);
-        if (!response.ok) throw new Error(`Failed: ${response.status}`);
-        
-        const data = await response.json();
-        let combined = [];
-        if (data.movies) combined = combined.concat(data.movies.map(m => ({...m, source_type: 'tmdb'})));
-        if (data.tv) combined = combined.concat(data.tv.map(m => ({...m, source_type: 'tmdb'})));
+        const popular = await fetchPopular();
+        reloadCurrentResults = fetchPopular;
+        filterBar.hidden = true;
+        currentSeedTitles = [];
         
-        if (combined.length === 0) {
+        if (popular.length === 0) {
             showError('No featured content available.');
             return;
         }
         
-        combined.sort((a, b) => (b.vote_average || 0) - (a.vote_average || 0));
-        const popular = combined.slice(0, 12);
-        
         document.querySelector('.section-title').textContent = 'Featured Now';
         recommendationSource.innerHTML = `
             <div class="recommendation-source">
@@ -494,6 +1199,7 @@ movieInput.addEventListener('focus', () => {
 
 movieInput.addEventListener('blur', () => {
     document.querySelector('.input-wrapper').style.transform = 'scale(1)';
+    hideSuggestions();
 });
 
 // Start app
@@ -1,22 +1,152 @@
 // server/aiParser.js
-const Groq = require('groq-sdk');
+const { createProvider } = require('./llmProviders');
+const { createRecorder } = require('./recorder');
+const { metrics } = require('./metrics');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'ai-parser' });
+
+const envNumber = (name) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? null : value;
+};
+
+const STANCES = ['recommend', 'avoid', 'neutral'];
+const MEDIA_TYPES = ['movie', 'tv'];
+
+const jsonInstructions = (maxTitles) => `Respond with ONLY a JSON object, no markdown or commentary, in exactly this shape:
+{"titles": [{"title": "Title", "year": 2010, "media_type": "movie", "stance": "recommend", "reason": "short quote from the text"}]}
+
+Field rules:
+- "title": the title only, without the year
+- "year": release year as a number if mentioned, otherwise null
+- "media_type": "movie" or "tv"
+- "stance": "recommend" if the text recommends it, "avoid" if the text warns against it or says it is bad, "neutral" if it is only mentioned
+- "reason": a short quote (max 150 characters) from the text explaining the stance, or "" if there is none
+- At most ${maxTitles} entries, no duplicates
+- If nothing is found, return {"titles": []}`;
 
 class AIParser {
-  constructor() {
-    const apiKey = process.env.GROQ_API_KEY;
-    
-    if (!apiKey) {
-      console.warn('⚠️ GROQ_API_KEY not found - AI parsing disabled');
-      this.groq = null;
-      return;
+  constructor(options = {}) {
+    this.temperature = options.temperature ?? envNumber('LLM_TEMPERATURE') ?? 0.1;
+    this.maxTokens = options.maxTokens ?? envNumber('LLM_MAX_TOKENS');
+
+    let provider;
+    try {
+      provider = options.provider !== undefined ? options.provider : createProvider();
+    } catch (error) {
+      log.error('❌ Failed to initialize LLM provider:', error.message);
+      provider = null;
     }
+    this.provider = (options.recorder || createRecorder()).wrapProvider(provider);
 
-    this.groq = new Groq({ apiKey });
-    console.log('✅ Groq AI parser initialized');
+    if (this.provider) {
+      log.info(`✅ AI parser initialized (${this.provider.name}: ${this.provider.model})`);
+    }
   }
 
   isAvailable() {
-    return this.groq !== null;
+    return !!this.provider;
+  }
+
+  async complete(prompt, defaultMaxTokens) {
+    const labels = { provider: this.provider.name, model: this.provider.model };
+    metrics.llmRequests.inc(labels);
+
+    try {
+      const { text, usage } = await this.provider.complete(
+        [{ role: 'user', content: prompt }],
+        { temperature: this.temperature, maxTokens: this.maxTokens || defaultMaxTokens }
+      );
+      if (usage) {
+        metrics.llmTokens.inc({ ...labels, kind: 'prompt' }, usage.prompt_tokens || 0);
+        metrics.llmTokens.inc({ ...labels, kind: 'completion' }, usage.completion_tokens || 0);
+      }
+      return text;
+    } catch (error) {
+      metrics.llmErrors.inc(labels);
+      throw error;
+    }
+  }
+
+  normalizeEntry(entry, contentType) {
+    if (typeof entry === 'string') entry = { title: entry };
+    if (!entry || typeof entry.title !== 'string') return null;
+
+    // "1. Heat", "2) Heat", "- Heat", but not "12 Angry Men"
+    let title = entry.title.replace(/^(?:\d+[.)]|[-*•])\s*/, '').trim();
+    const yearInTitle = /\s*\((\d{4})\)\s*$/.exec(title);
+    title = title.replace(/\s*\(\d{4}\)\s*$/, '').trim();
+    if (title.length < 2 || !/[A-Za-z]/.test(title)) return null;
+
+    const year = /^\d{4}$/.test(String(entry.year)) ? String(entry.year) : (yearInTitle ? yearInTitle[1] : null);
+    const stance = STANCES.includes(String(entry.stance).toLowerCase()) ? String(entry.stance).toLowerCase() : 'neutral';
+    const mediaType = MEDIA_TYPES.includes(entry.media_type) ? entry.media_type : contentType;
+    const reason = typeof entry.reason === 'string' ? entry.reason.trim().substring(0, 200) : '';
+
+    return { title, year, mediaType, stance, reason };
+  }
+
+  // Returns the validated entries, or null when the response is not usable JSON
+  parseStructuredResponse(response, contentType, maxTitles) {
+    if (!response) return null;
+
+    const unfenced = response.replace(/```(?:json)?/gi, '').trim();
+    const start = unfenced.search(/[\[{]/);
+    const end = Math.max(unfenced.lastIndexOf('}'), unfenced.lastIndexOf(']'));
+    if (start === -1 || end <= start) return null;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(unfenced.substring(start, end + 1));
+    } catch (error) {
+      return null;
+    }
+
+    const entries = Array.isArray(parsed) ? parsed : parsed?.titles;
+    if (!Array.isArray(entries)) return null;
+
+    const seen = new Set();
+    return entries
+      .map(entry => this.normalizeEntry(entry, contentType))
+      .filter(entry => {
+        if (!entry) return false;
+        const key = entry.title.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, maxTitles);
+  }
+
+  // Legacy newline-separated output; stance is unknown so everything is neutral
+  parseLineResponse(response, contentType, maxTitles) {
+    return response
+      .split('\n')
+      .map(line => this.normalizeEntry(line.trim(), contentType))
+      .filter(Boolean)
+      .slice(0, maxTitles);
+  }
+
+  async extractStructured(prompt, maxTokens, contentType, maxTitles) {
+    const response = await this.complete(prompt, maxTokens);
+    let entries = this.parseStructuredResponse(response, contentType, maxTitles);
+    if (entries) return entries;
+
+    log.debug('  🔧 AI returned malformed JSON - asking for a repair');
+    const repairPrompt = `The following output was supposed to be valid JSON but is not:
+"""
+${(response || '').substring(0, 2000)}
+"""
+
+Rewrite it as valid JSON. ${jsonInstructions(maxTitles)}`;
+
+    const repaired = await this.complete(repairPrompt, maxTokens);
+    entries = this.parseStructuredResponse(repaired, contentType, maxTitles);
+    if (entries) return entries;
+
+    log.warn('  ⚠️ AI JSON repair failed - falling back to line parsing');
+    return this.parseLineResponse(response || '', contentType, maxTitles);
   }
 
   async extractTitlesFromMultipleComments(comments, originalTitle, contentType = 'movie') {
@@ -43,45 +173,21 @@ ${combinedText.substring(0, 3000)}
 """
 
 CRITICAL RULES:
-1. EXTRACT movie titles recommended as SIMILAR/ALTERNATIVE to "${titleOnly}"
+1. EXTRACT movie titles mentioned as SIMILAR/ALTERNATIVE to "${titleOnly}"
 2. Look across ALL comments provided above
-3. ONLY extract unique movie titles (no duplicates)
-4. Include year if mentioned: "Title (year)"
-5. Return ONE title per line, maximum 15 titles
-6. NO explanations, numbering, bullets, or markdown
-7. If NO recommendations found, return NOTHING
-
-Extract movie recommendations now:`;
-
-      const completion = await this.groq.chat.completions.create({
-        messages: [{ role: 'user', content: prompt }],
-        model: 'llama-3.1-8b-instant',
-        temperature: 0.1,
-        max_tokens: 600,
-      });
+3. Mark titles the comments warn against or call bad with stance "avoid"
 
-      const response = completion.choices[0]?.message?.content?.trim();
+${jsonInstructions(15)}
 
-      if (!response || response.length < 3) {
-        return null;
-      }
+Extract movie recommendations now:`;
 
-      const titles = response
-        .split('\n')
-        .map(line => line.trim())
-        .filter(line => line.length > 0)
-        .filter(line => {
-          const cleaned = line.replace(/^[\d\.\)\-\*•]\s*/, '').trim();
-          return cleaned.length >= 2 && /[A-Za-z]/.test(cleaned);
-        })
-        .map(line => line.replace(/^[\d\.\)\-\*•]\s*/, '').trim())
-        .slice(0, 15);
+      const titles = await this.extractStructured(prompt, 800, contentType, 15);
 
-      console.log(`  🤖 AI batch extracted ${titles.length} titles from ${comments.length} comments`);
-      return titles.length > 0 ? titles : null;
+      log.debug(`  🤖 AI batch extracted ${titles.length} titles from ${comments.length} comments`);
+      return titles;
 
     } catch (error) {
-      console.error('  ⚠️ AI batch parsing error:', error.message);
+      log.error('  ⚠️ AI batch parsing error:', error.message);
       return null;
     }
   }
@@ -117,7 +223,6 @@ CRITICAL RULES:
 
 3. IGNORE if:
    - The text is asking about a COMPLETELY DIFFERENT movie (not mentioning "${titleOnly}" at all)
-   - Titles mentioned as what NOT to watch
    - Comparisons saying movies are "unlike ${titleOnly}"
 
 4. EXTRACT if you see:
@@ -128,9 +233,9 @@ CRITICAL RULES:
    - "besides ${titleOnly}" / "other than ${titleOnly}" (these are asking for alternatives)
    - Discussion about movie type/genre with "${titleOnly}" as example (extract OTHER movies mentioned)
 
-5. Format: Include year if mentioned: "Title (year)"
-6. Return ONE title per line, maximum 10 titles
-7. NO explanations, numbering, bullets, or markdown
+5. Titles mentioned as what NOT to watch must be returned with stance "avoid", not left out
+
+${jsonInstructions(10)}
 
 Examples:
 
@@ -141,45 +246,23 @@ INPUT: "Name some good modern non-linear movies besides Weapons (2025)"
 OUTPUT: (extract OTHER non-linear movies mentioned - these are alternatives to Weapons)
 
 INPUT: "Movies like Inception?"
-OUTPUT: (if this text is about Inception, extract recommendations. If we're searching for "${titleOnly}" but text is about Inception, return NOTHING)
+OUTPUT: (if this text is about Inception, extract recommendations. If we're searching for "${titleOnly}" but text is about Inception, return {"titles": []})
 
-If the text doesn't mention "${titleOnly}" at all, return NOTHING.
-If NO recommendations exist, return NOTHING.`;
+If the text doesn't mention "${titleOnly}" at all, return {"titles": []}.
+If NO recommendations exist, return {"titles": []}.`;
 
-      const completion = await this.groq.chat.completions.create({
-        messages: [{ role: 'user', content: prompt }],
-        model: 'llama-3.1-8b-instant',
-        temperature: 0.1,
-        max_tokens: 500,
-      });
+      const titles = await this.extractStructured(prompt, 700, contentType, 10);
 
-const response = completion.choices[0]?.message?.content?.trim();
-
-if (!response) return null;
-
-      if (response.toLowerCase().includes('no recommendations') || 
-          response.toLowerCase().includes('no similar') ||
-          response.length < 3) {
-          console.log(`  ℹ️ AI found no recommendations for "${originalTitle}"`);
-          return null;
+      if (titles.length === 0) {
+          log.debug(`  ℹ️ AI found no recommendations for "${originalTitle}"`);
+          return titles;
       }
 
-      const titles = response
-          .split('\n')
-          .map(line => line.trim())
-          .filter(line => line.length > 0)
-          .filter(line => {
-            const cleaned = line.replace(/^[\d\.\)\-\*•]\s*/, '').trim();
-            return cleaned.length >= 2 && /[A-Za-z]/.test(cleaned);
-          })
-          .map(line => line.replace(/^[\d\.\)\-\*•]\s*/, '').trim())
-          .slice(0, 10);
-
-      console.log(`  🤖 AI extracted ${titles.length} titles for "${originalTitle}"`);
-      return titles.length > 0 ? titles : null;
+      log.debug(`  🤖 AI extracted ${titles.length} titles for "${originalTitle}"`);
+      return titles;
 
     } catch (error) {
-      console.error('  ⚠️ AI parsing error:', error.message);
+      log.error('  ⚠️ AI parsing error:', error.message);
       return null; 
     }
   }
@@ -0,0 +1,240 @@
+// server/cache.js
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'cache' });
+
+const HOUR = 60 * 60 * 1000;
+
+const DEFAULT_TTLS = {
+  tmdb: 24 * HOUR,
+  genres: 7 * 24 * HOUR,
+  llm: 7 * 24 * HOUR,
+  recommendations: 6 * HOUR,
+  providers: 12 * HOUR,
+  default: 24 * HOUR,
+};
+
+class MemoryStore {
+  constructor(maxEntries = 5000) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.evictions = 0;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    // Re-insert so the Map's insertion order doubles as LRU order
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  set(key, entry) {
+    if (this.entries.has(key)) this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+      this.evictions++;
+    }
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+class FileStore extends MemoryStore {
+  constructor(filePath, maxEntries = 5000, flushDelay = 5000) {
+    super(maxEntries);
+    this.filePath = filePath;
+    this.flushDelay = flushDelay;
+    this.flushTimer = null;
+    this.load();
+
+    process.once('exit', () => this.flush());
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      (saved.entries || []).forEach(([key, entry]) => super.set(key, entry));
+      log.info(`📦 Loaded ${this.entries.size} cache entries from ${this.filePath}`);
+    } catch (error) {
+      log.warn(`⚠️ Could not load cache file ${this.filePath}:`, error.message);
+    }
+  }
+
+  set(key, entry) {
+    super.set(key, entry);
+    this.scheduleFlush();
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted) this.scheduleFlush();
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+    if (this.flushTimer.unref) this.flushTimer.unref();
+  }
+
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ entries: Array.from(this.entries.entries()) }));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      log.warn(`⚠️ Could not write cache file ${this.filePath}:`, error.message);
+    }
+  }
+}
+
+class Cache {
+  constructor({ store = new MemoryStore(), ttls = {} } = {}) {
+    this.store = store;
+    this.ttls = { ...DEFAULT_TTLS, ...ttls };
+    this.stats = {};
+  }
+
+  ttlFor(namespace) {
+    return this.ttls[namespace] ?? this.ttls.default;
+  }
+
+  namespaceStats(namespace) {
+    if (!this.stats[namespace]) {
+      this.stats[namespace] = { hits: 0, misses: 0, sets: 0, expired: 0 };
+    }
+    return this.stats[namespace];
+  }
+
+  get(namespace, key) {
+    const stats = this.namespaceStats(namespace);
+    const storeKey = `${namespace}:${key}`;
+    const entry = this.store.get(storeKey);
+
+    if (!entry) {
+      stats.misses++;
+      return undefined;
+    }
+
+    if (Date.now() - entry.timestamp >= this.ttlFor(namespace)) {
+      this.store.delete(storeKey);
+      stats.expired++;
+      stats.misses++;
+      return undefined;
+    }
+
+    stats.hits++;
+    return entry.data;
+  }
+
+  // Like get() without touching hit/miss stats or LRU order
+  peek(namespace, key) {
+    const entry = this.store.entries.get(`${namespace}:${key}`);
+    if (!entry || Date.now() - entry.timestamp >= this.ttlFor(namespace)) return undefined;
+    return entry.data;
+  }
+
+  set(namespace, key, data) {
+    this.namespaceStats(namespace).sets++;
+    this.store.set(`${namespace}:${key}`, { data, timestamp: Date.now() });
+  }
+
+  async wrap(namespace, key, fetcher) {
+    const cached = this.get(namespace, key);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    const data = await fetcher();
+    if (data !== undefined && data !== null) {
+      this.set(namespace, key, data);
+    }
+    return data;
+  }
+
+  clear() {
+    this.store.clear();
+  }
+
+  getStats() {
+    const namespaces = {};
+    let hits = 0;
+    let misses = 0;
+
+    Object.entries(this.stats).forEach(([namespace, stats]) => {
+      const lookups = stats.hits + stats.misses;
+      namespaces[namespace] = {
+        ...stats,
+        ttl_ms: this.ttlFor(namespace),
+        hit_ratio: lookups ? stats.hits / lookups : 0,
+      };
+      hits += stats.hits;
+      misses += stats.misses;
+    });
+
+    return {
+      backend: this.store instanceof FileStore ? 'file' : 'memory',
+      entries: this.store.size,
+      max_entries: this.store.maxEntries,
+      evictions: this.store.evictions,
+      hits,
+      misses,
+      hit_ratio: hits + misses ? hits / (hits + misses) : 0,
+      namespaces,
+    };
+  }
+}
+
+// CACHE_TTL_<NAMESPACE> values are in seconds, e.g. CACHE_TTL_RECOMMENDATIONS=3600
+const ttlsFromEnv = () => {
+  const ttls = {};
+  Object.keys(DEFAULT_TTLS).forEach((namespace) => {
+    const value = parseInt(process.env[`CACHE_TTL_${namespace.toUpperCase()}`], 10);
+    if (!Number.isNaN(value) && value >= 0) ttls[namespace] = value * 1000;
+  });
+  return ttls;
+};
+
+const createCache = () => {
+  const backend = (process.env.CACHE_BACKEND || 'memory').toLowerCase();
+  const maxEntries = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 5000;
+
+  const store = backend === 'file'
+    ? new FileStore(process.env.CACHE_FILE || path.join(__dirname, '.cache', 'cache.json'), maxEntries)
+    : new MemoryStore(maxEntries);
+
+  log.info(`📦 Cache backend: ${backend === 'file' ? `file (${store.filePath})` : 'memory'}, max ${maxEntries} entries`);
+  return new Cache({ store, ttls: ttlsFromEnv() });
+};
+
+module.exports = { Cache, MemoryStore, FileStore, createCache, DEFAULT_TTLS };
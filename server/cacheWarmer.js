@@ -0,0 +1,131 @@
+// server/cacheWarmer.js
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'cache-warmer' });
+
+// Periodically pre-computes recommendations for trending titles so their first search is a cache hit.
+// The budget caps Reddit searches and parsed posts (one comment fetch and at most one LLM call each)
+// per cycle; it is checked between titles, so one crawl can overshoot it slightly.
+class CacheWarmer {
+  constructor({
+    fetchTrending,
+    isWarm,
+    warm,
+    interval = 6 * 60 * 60 * 1000,
+    initialDelay = 60 * 1000,
+    topN = 10,
+    budget = { reddit_searches: 60, posts_parsed: 100 },
+  }) {
+    this.fetchTrending = fetchTrending;
+    this.isWarm = isWarm;
+    this.warm = warm;
+    this.interval = interval;
+    this.initialDelay = initialDelay;
+    this.topN = topN;
+    this.budget = budget;
+    this.timer = null;
+    this.running = false;
+    this.nextRunAt = null;
+    this.lastRun = null;
+    this.targets = [];
+  }
+
+  start() {
+    if (this.timer) return;
+    this.schedule(this.initialDelay);
+    log.info(`🔥 Cache warming enabled: top ${this.topN} trending every ${Math.round(this.interval / 60000)} min`);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRunAt = null;
+  }
+
+  schedule(delay) {
+    this.nextRunAt = new Date(Date.now() + delay).toISOString();
+    this.timer = setTimeout(async () => {
+      await this.runOnce();
+      if (this.timer) this.schedule(this.interval);
+    }, delay);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  async runOnce() {
+    if (this.running) return this.lastRun;
+    this.running = true;
+
+    const run = {
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      spent: { reddit_searches: 0, posts_parsed: 0 },
+      warmed: 0,
+      already_warm: 0,
+      failed: 0,
+      stopped_reason: null,
+    };
+    this.lastRun = run;
+
+    try {
+      const trending = await this.fetchTrending();
+      this.targets = trending.slice(0, this.topN);
+      log.info(`🔥 Warming recommendations for ${this.targets.length} trending titles`);
+
+      for (const item of this.targets) {
+        if (this.isWarm(item)) {
+          run.already_warm++;
+          continue;
+        }
+
+        const exhausted = Object.keys(this.budget).find(key => run.spent[key] >= this.budget[key]);
+        if (exhausted) {
+          run.stopped_reason = `budget exhausted (${exhausted})`;
+          log.info(`🔥 Stopping cache warming: ${run.stopped_reason}`);
+          break;
+        }
+
+        try {
+          await this.warm(item, (event) => {
+            if (event === 'subreddit_searched' || event === 'subreddit_failed') run.spent.reddit_searches++;
+            if (event === 'post_parsing') run.spent.posts_parsed++;
+          });
+          run.warmed++;
+          item.warmed_at = new Date().toISOString();
+        } catch (error) {
+          run.failed++;
+          log.error(`🔥 Warming ${item.type}/${item.id} failed:`, error.message);
+        }
+      }
+    } catch (error) {
+      run.stopped_reason = `trending fetch failed: ${error.message}`;
+      log.error('🔥 Cache warming failed:', error.message);
+    } finally {
+      run.finished_at = new Date().toISOString();
+      this.running = false;
+    }
+
+    log.info(`🔥 Cache warming done: ${run.warmed} warmed, ${run.already_warm} already warm, ${run.failed} failed`);
+    return run;
+  }
+
+  getStatus() {
+    return {
+      enabled: !!this.timer,
+      running: this.running,
+      interval_ms: this.interval,
+      top_n: this.topN,
+      budget: this.budget,
+      next_run_at: this.nextRunAt,
+      last_run: this.lastRun,
+      titles: this.targets.map(item => ({
+        type: item.type,
+        id: item.id,
+        title: item.title,
+        warm: this.isWarm(item),
+        warmed_at: item.warmed_at || null,
+      })),
+    };
+  }
+}
+
+module.exports = CacheWarmer;
@@ -0,0 +1,91 @@
+// server/collections.js
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'collections' });
+
+// What a collapsed collection entry keeps: enough for a small card
+const toEntry = (item) => ({
+  id: item.id,
+  title: item.title || item.name,
+  media_type: item.media_type || 'movie',
+  poster_path: item.poster_path || null,
+  release_date: item.release_date || null,
+  vote_average: item.vote_average || 0,
+});
+
+const itemType = (item, fallbackType) => item.media_type || fallbackType || (item.title ? 'movie' : 'tv');
+
+// Franchises via TMDB's belongs_to_collection, which only movies have and only the details endpoint returns
+class Collections {
+  constructor(tmdb, cache) {
+    this.tmdb = tmdb;
+    this.cache = cache;
+  }
+
+  // { id, name, poster_path } or null
+  async getCollection(type, id) {
+    if (type !== 'movie') return null;
+    // Wrapped so "no collection" is cached too
+    const cached = await this.cache.wrap('tmdb', `collection_${type}_${id}`, async () => {
+      const details = await this.tmdb.get(`/movie/${id}`);
+      const collection = details.belongs_to_collection;
+      return { collection: collection ? { id: collection.id, name: collection.name, poster_path: collection.poster_path || null } : null };
+    });
+    return cached.collection;
+  }
+
+  // Collapses each collection to its best-ranked entry, with the rest under `collection.items`.
+  // excludeCollectionIds drops those collections entirely (the seeds' own sequels). Lookups stop
+  // once `pageSize` cards are grouped; the items after that pass through untouched and are
+  // counted in ungroupedTail.
+  async group(items, { fallbackType, excludeCollectionIds = [], pageSize = Infinity, batchSize = 5 } = {}) {
+    const excludedIds = new Set(excludeCollectionIds);
+    const leads = new Map();
+    const grouped = [];
+    let excluded = 0;
+    let collapsed = 0;
+    let looked = 0;
+
+    const place = (item, collection) => {
+      if (!collection) {
+        grouped.push(item);
+        return;
+      }
+      if (excludedIds.has(collection.id)) {
+        excluded++;
+        return;
+      }
+
+      const lead = leads.get(collection.id);
+      if (lead) {
+        lead.collection.items.push(toEntry(item));
+        lead.collection.more = lead.collection.items.length;
+        collapsed++;
+        return;
+      }
+
+      const card = { ...item, collection: { ...collection, more: 0, items: [] } };
+      leads.set(collection.id, card);
+      grouped.push(card);
+    };
+
+    while (looked < items.length && grouped.length < pageSize) {
+      const batch = items.slice(looked, looked + batchSize);
+      looked += batch.length;
+      const found = await Promise.all(batch.map(async item => {
+        try {
+          return await this.getCollection(itemType(item, fallbackType), item.id);
+        } catch (error) {
+          log.warn(`  ⚠️ Collection lookup failed for ${item.id}: ${error.message}`);
+          return null;
+        }
+      }));
+      batch.forEach((item, index) => place(item, found[index]));
+    }
+
+    const tail = items.slice(looked);
+    return { items: [...grouped, ...tail], collapsed, excluded, ungroupedTail: tail.length };
+  }
+}
+
+module.exports = { Collections };
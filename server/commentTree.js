@@ -0,0 +1,88 @@
+// server/commentTree.js
+
+// How far into a thread's replies comment mining goes. Depth 0 is top-level comments only;
+// breadth caps the replies kept per comment (highest score first); loadMore is how many
+// "load more comments" stubs reddit may expand per submission.
+const DEFAULT_REPLY_TREE = {
+  topLevel: 15,
+  maxDepth: 2,
+  maxBreadth: 5,
+  maxComments: 40,
+  loadMore: 0,
+};
+
+// Each level down counts for this much of the one above
+const DEPTH_DECAY = 0.7;
+
+// An endorsing reply is worth this share of a mention of its own
+const ENDORSEMENT_WEIGHT = 0.5;
+
+const MIN_BODY_LENGTH = 5;
+
+const AGREEMENT = /^(?:\+1|this(?=\W*$)|seconded|seconding|second(?:ed)? this|agreed?|(?:totally|strongly) agree|yes+|yep|same|came here to say|was going to say|so good|(?:great|good) (?:pick|call|rec)|underrated|absolutely|100%|exactly|can confirm)\b/i;
+const DISAGREEMENT = /^(?:no|nah|nope|disagree|hard disagree|eh|meh|not really|hmm)\b|\b(?:overrated|terrible|awful|boring|hated|nothing like|not similar|disagree)\b/i;
+
+const toInt = (value, fallback, min = 0) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : Math.max(min, parsed);
+};
+
+const replyTreeFromEnv = (env = process.env) => ({
+  topLevel: toInt(env.REDDIT_TOP_COMMENTS, DEFAULT_REPLY_TREE.topLevel, 1),
+  maxDepth: toInt(env.REDDIT_REPLY_DEPTH, DEFAULT_REPLY_TREE.maxDepth),
+  maxBreadth: toInt(env.REDDIT_REPLY_BREADTH, DEFAULT_REPLY_TREE.maxBreadth),
+  maxComments: toInt(env.REDDIT_MAX_THREAD_COMMENTS, DEFAULT_REPLY_TREE.maxComments, 1),
+  loadMore: toInt(env.REDDIT_REPLY_LOAD_MORE, DEFAULT_REPLY_TREE.loadMore),
+});
+
+const asArray = (listing) => {
+  if (Array.isArray(listing)) return listing;
+  if (listing && typeof listing[Symbol.iterator] === 'function') return Array.from(listing);
+  return [];
+};
+
+const byScore = (a, b) => (b.score || 0) - (a.score || 0);
+
+// Breadth-first walk of a submission's comments: every top-level comment comes before any reply,
+// so callers that truncate (the AI batch prompt) lose the deepest replies first.
+// Returns [{ comment, depth, parentId }].
+const flattenCommentTree = (comments, options = {}) => {
+  const { topLevel, maxDepth, maxBreadth, maxComments } = { ...DEFAULT_REPLY_TREE, ...options };
+  const usable = (comment) => comment && typeof comment.body === 'string' && comment.body.length >= MIN_BODY_LENGTH;
+
+  const entries = [];
+  let level = asArray(comments).filter(usable).sort(byScore).slice(0, topLevel)
+    .map(comment => ({ comment, depth: 0, parentId: null }));
+
+  while (level.length > 0 && entries.length < maxComments) {
+    entries.push(...level.slice(0, maxComments - entries.length));
+    const next = [];
+    level.forEach(({ comment, depth }) => {
+      if (depth >= maxDepth) return;
+      asArray(comment.replies).filter(usable).sort(byScore).slice(0, maxBreadth)
+        .forEach(reply => next.push({ comment: reply, depth: depth + 1, parentId: comment.id }));
+    });
+    level = next;
+  }
+
+  return entries;
+};
+
+const depthWeight = (depth = 0) => DEPTH_DECAY ** Math.max(0, depth);
+
+// Only replies that open with agreement ("+1", "this", "seconded") endorse their parent; questions
+// ("this? is it scary?") and agreement walked back ("this is nothing like it") don't count
+const isEndorsement = (body) => {
+  const text = String(body || '').trim();
+  return AGREEMENT.test(text) && !DISAGREEMENT.test(text) && !/\?\s*$/.test(text);
+};
+
+module.exports = {
+  DEFAULT_REPLY_TREE,
+  DEPTH_DECAY,
+  ENDORSEMENT_WEIGHT,
+  replyTreeFromEnv,
+  flattenCommentTree,
+  depthWeight,
+  isEndorsement,
+};
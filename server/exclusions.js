@@ -0,0 +1,44 @@
+// server/exclusions.js
+const MAX_EXCLUSIONS = 1000;
+
+const itemType = (item, fallbackType) => item.media_type || fallbackType || (item.title ? 'movie' : 'tv');
+
+// Reads ?exclude=1,2,tv:3 (or repeated ?exclude=) and a JSON body "exclude" array.
+// Plain ids match any media type; "movie:ID" / "tv:ID" only match that type.
+const parseExclusions = (req) => {
+  const raw = [];
+  if (req.query && req.query.exclude) {
+    [].concat(req.query.exclude).forEach(value => raw.push(...String(value).split(',')));
+  }
+  if (req.body && Array.isArray(req.body.exclude)) {
+    req.body.exclude.forEach(value => raw.push(String(value)));
+  }
+
+  const ids = new Set();
+  const typed = new Set();
+  raw.slice(0, MAX_EXCLUSIONS).forEach(value => {
+    const match = /^(?:(movie|tv)[:_])?(\d+)$/.exec(value.trim());
+    if (!match) return;
+    if (match[1]) {
+      typed.add(`${match[1]}:${match[2]}`);
+    } else {
+      ids.add(match[2]);
+    }
+  });
+
+  return { ids, typed, size: ids.size + typed.size };
+};
+
+const isExcluded = (item, exclusions, fallbackType) => {
+  const id = String(item.id);
+  return exclusions.ids.has(id) || exclusions.typed.has(`${itemType(item, fallbackType)}:${id}`);
+};
+
+const applyExclusions = (items, exclusions, fallbackType) => {
+  if (!exclusions || exclusions.size === 0) return items;
+  return items.filter(item => !isExcluded(item, exclusions, fallbackType));
+};
+
+const noExclusions = () => ({ ids: new Set(), typed: new Set(), size: 0 });
+
+module.exports = { parseExclusions, applyExclusions, isExcluded, noExclusions };
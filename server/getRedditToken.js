@@ -0,0 +1,142 @@
+// getRedditToken.js - run once (npm run reddit:token) to authorize a Reddit account and
+// save REDDIT_REFRESH_TOKEN to server/.env. Credentials come from the env/.env or a prompt;
+// nothing secret lives in this file.
+//
+// Your Reddit app (https://www.reddit.com/prefs/apps) must list the redirect URI below,
+// http://localhost:8765/callback by default (override with REDDIT_REDIRECT_URI).
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const readline = require('readline');
+const snoowrap = require('snoowrap');
+const { redditUserAgent } = require('./redditAuth');
+
+const ENV_PATH = process.env.ENV_FILE || path.join(__dirname, '.env');
+require('dotenv').config({ path: ENV_PATH });
+
+const REDIRECT_URI = process.env.REDDIT_REDIRECT_URI || 'http://localhost:8765/callback';
+const SCOPES = ['identity', 'read'];
+const CALLBACK_TIMEOUT = 5 * 60 * 1000;
+
+const prompt = (question, { hidden = false } = {}) => new Promise((resolve) => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+  if (hidden) {
+    // Echo nothing while the secret is typed
+    rl._writeToOutput = (text) => {
+      if (text.includes(question)) rl.output.write(text);
+    };
+  }
+  rl.question(question, (answer) => {
+    rl.close();
+    if (hidden) process.stdout.write('\n');
+    resolve(answer.trim());
+  });
+});
+
+const mask = (value) => (value.length > 8 ? `${value.slice(0, 4)}…${value.slice(-4)}` : '••••');
+
+// Waits for reddit to redirect the browser back with ?code=…&state=…
+const waitForCallback = (expectedState) => new Promise((resolve, reject) => {
+  const redirect = new URL(REDIRECT_URI);
+  if (!['localhost', '127.0.0.1'].includes(redirect.hostname)) {
+    reject(new Error(`REDDIT_REDIRECT_URI must point at localhost, got ${REDIRECT_URI}`));
+    return;
+  }
+
+  const timer = setTimeout(() => {
+    server.close();
+    reject(new Error('Timed out waiting for the Reddit authorization callback'));
+  }, CALLBACK_TIMEOUT);
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, REDIRECT_URI);
+    if (url.pathname !== redirect.pathname) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    const finish = (status, message, error) => {
+      res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(`<p style="font-family: sans-serif">${message}</p>`);
+      clearTimeout(timer);
+      server.close();
+      if (error) reject(error); else resolve(url.searchParams.get('code'));
+    };
+
+    if (url.searchParams.get('error')) {
+      finish(400, 'Authorization was denied. You can close this tab.', new Error(`Reddit returned: ${url.searchParams.get('error')}`));
+    } else if (url.searchParams.get('state') !== expectedState) {
+      finish(400, 'State mismatch. Please try again.', new Error('OAuth state mismatch - possible stale or forged callback'));
+    } else {
+      finish(200, 'Got Next is authorized. You can close this tab and return to the terminal.');
+    }
+  });
+
+  server.on('error', (error) => {
+    clearTimeout(timer);
+    reject(error);
+  });
+  server.listen(Number(redirect.port) || 80, redirect.hostname);
+});
+
+// Updates or appends KEY=value lines, keeping everything else in the file as is
+const writeEnv = (values) => {
+  const lines = fs.existsSync(ENV_PATH) ? fs.readFileSync(ENV_PATH, 'utf8').split(/\r?\n/) : [];
+  Object.entries(values).forEach(([key, value]) => {
+    const index = lines.findIndex(line => line.startsWith(`${key}=`));
+    if (index >= 0) {
+      lines[index] = `${key}=${value}`;
+    } else {
+      if (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+      lines.push(`${key}=${value}`, '');
+    }
+  });
+  fs.writeFileSync(ENV_PATH, lines.join('\n'), { mode: 0o600 });
+};
+
+async function main() {
+  const clientId = (process.env.REDDIT_CLIENT_ID || '').trim() || await prompt('Reddit client id: ');
+  const clientSecret = (process.env.REDDIT_CLIENT_SECRET || '').trim()
+    || await prompt('Reddit client secret: ', { hidden: true });
+
+  if (!clientId || !clientSecret) {
+    throw new Error('A Reddit client id and secret are required (create a "web app" at https://www.reddit.com/prefs/apps)');
+  }
+
+  const state = crypto.randomBytes(16).toString('hex');
+  const authUrl = snoowrap.getAuthUrl({ clientId, scope: SCOPES, redirectUri: REDIRECT_URI, permanent: true, state });
+
+  console.log('\nOpen this URL in your browser and approve access:\n');
+  console.log(`  ${authUrl}\n`);
+  console.log(`Waiting for the callback on ${REDIRECT_URI} ...`);
+
+  const code = await waitForCallback(state);
+  const reddit = await snoowrap.fromAuthCode({
+    code,
+    userAgent: redditUserAgent(),
+    clientId,
+    clientSecret,
+    redirectUri: REDIRECT_URI,
+  });
+
+  if (!reddit.refreshToken) {
+    throw new Error('Reddit did not return a refresh token');
+  }
+
+  const me = await reddit.getMe();
+  writeEnv({
+    REDDIT_CLIENT_ID: clientId,
+    REDDIT_CLIENT_SECRET: clientSecret,
+    REDDIT_REFRESH_TOKEN: reddit.refreshToken,
+  });
+
+  console.log(`\n✅ Authorized as u/${me.name}`);
+  console.log(`🔑 Saved REDDIT_REFRESH_TOKEN (${mask(reddit.refreshToken)}) to ${ENV_PATH}`);
+  console.log('   REDDIT_USERNAME / REDDIT_PASSWORD are no longer needed and can be removed.');
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,128 @@
+// server/jobs.js
+const crypto = require('crypto');
+const { logger, withContext } = require('./logger');
+
+const log = logger.child({ module: 'jobs' });
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+class JobManager {
+  constructor({ ttl = 15 * 60 * 1000, maxJobs = 500 } = {}) {
+    this.ttl = ttl;
+    this.maxJobs = maxJobs;
+    this.jobs = new Map();
+    this.active = new Map();
+  }
+
+  // Starts runner(onProgress) unless a job with the same key is still running,
+  // in which case the caller is attached to that job instead.
+  submit(key, seed, runner) {
+    this.prune();
+
+    const runningId = this.active.get(key);
+    if (runningId && this.jobs.has(runningId)) {
+      const job = this.jobs.get(runningId);
+      job.attached++;
+      return { job, attached: true };
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      key,
+      seed,
+      status: 'queued',
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+      attached: 0,
+      progress: { stage: 'queued', events: 0, subreddits_searched: 0, posts_found: 0 },
+      partial: new Map(),
+      listeners: new Set(),
+      result: null,
+      error: null,
+    };
+    job.done = new Promise(resolve => { job.finish = resolve; });
+    this.jobs.set(job.id, job);
+    this.active.set(key, job.id);
+
+    // Runs in the submitting request's log context, tagged with the job id
+    setImmediate(() => withContext({ job_id: job.id }, () => this.run(job, runner)));
+    return { job, attached: false };
+  }
+
+  async run(job, runner) {
+    job.status = 'running';
+    job.started_at = new Date().toISOString();
+
+    try {
+      job.result = await runner((event, data) => this.recordProgress(job, event, data));
+      job.status = 'completed';
+      job.progress.stage = 'complete';
+      log.info(`✅ Job ${job.id} completed (${job.result.recommendations.length} recommendations)`);
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      job.progress.stage = 'failed';
+      log.error(`❌ Job ${job.id} failed:`, error.message);
+    } finally {
+      job.finished_at = new Date().toISOString();
+      job.partial.clear();
+      if (this.active.get(job.key) === job.id) this.active.delete(job.key);
+      job.finish(job);
+    }
+  }
+
+  // Resolves with the job's result (throws if it failed). The listener gets progress events
+  // from now on, plus the recommendations found so far when joining a job already under way.
+  async wait(job, listener) {
+    if (listener && !job.finished_at) {
+      job.partial.forEach(recommendation => listener('recommendation', { recommendation, total: job.partial.size }));
+      job.listeners.add(listener);
+    }
+
+    await job.done;
+    job.listeners.delete(listener);
+    if (job.status === 'failed') throw new Error(job.error);
+    return job.result;
+  }
+
+  recordProgress(job, event, data) {
+    job.progress.events++;
+    job.progress.stage = event;
+    if (event === 'subreddit_searched') job.progress.subreddits_searched++;
+    if (event === 'posts_found') job.progress.posts_found = data.total;
+    if (event === 'recommendation') job.partial.set(data.recommendation.id, data.recommendation);
+
+    job.listeners.forEach(listener => {
+      try {
+        listener(event, data);
+      } catch (error) {
+        log.warn(`  ⚠️ Job listener error: ${error.message}`);
+      }
+    });
+  }
+
+  get(id) {
+    this.prune();
+    return this.jobs.get(id) || null;
+  }
+
+  // Finished jobs are kept for ttl so pollers can collect them; running jobs are never dropped
+  prune() {
+    const now = Date.now();
+    for (const [id, job] of this.jobs) {
+      const finished = job.finished_at && now - Date.parse(job.finished_at) > this.ttl;
+      const overflow = this.jobs.size > this.maxJobs && job.finished_at;
+      if (finished || overflow) this.jobs.delete(id);
+    }
+  }
+
+  getStats() {
+    const counts = {};
+    JOB_STATUSES.forEach(status => { counts[status] = 0; });
+    this.jobs.forEach(job => { counts[job.status]++; });
+    return { total: this.jobs.size, ...counts };
+  }
+}
+
+module.exports = { JobManager, JOB_STATUSES };
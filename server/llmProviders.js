@@ -0,0 +1,148 @@
+// server/llmProviders.js
+const axios = require('axios');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'llm' });
+
+// Every provider implements complete(messages, { temperature, maxTokens }) -> { text, usage }
+
+class GroqProvider {
+  constructor({ apiKey, model = 'llama-3.1-8b-instant' }) {
+    const Groq = require('groq-sdk');
+    this.name = 'groq';
+    this.model = model;
+    this.client = new Groq({ apiKey });
+  }
+
+  async complete(messages, { temperature, maxTokens }) {
+    const completion = await this.client.chat.completions.create({
+      messages,
+      model: this.model,
+      temperature,
+      max_tokens: maxTokens,
+    });
+
+    return {
+      text: completion.choices[0]?.message?.content?.trim() || '',
+      usage: completion.usage || null,
+    };
+  }
+}
+
+// Works with OpenAI itself and anything exposing /v1/chat/completions (Ollama, llama.cpp, vLLM, ...)
+class OpenAICompatibleProvider {
+  constructor({ baseUrl, apiKey = null, model, timeout = 60000, name = 'openai' }) {
+    if (!baseUrl) throw new Error('LLM_BASE_URL is required for OpenAI-compatible providers');
+    if (!model) throw new Error('LLM_MODEL is required for OpenAI-compatible providers');
+
+    this.name = name;
+    this.model = model;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.timeout = timeout;
+  }
+
+  async complete(messages, { temperature, maxTokens }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+      model: this.model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+    }, { headers, timeout: this.timeout });
+
+    return {
+      text: response.data?.choices?.[0]?.message?.content?.trim() || '',
+      usage: response.data?.usage || null,
+    };
+  }
+}
+
+// Deterministic provider for tests and offline runs. By default it answers with the
+// "Title (year)" and **bold** titles found inside the prompt's triple-quoted block,
+// in the JSON shape AIParser asks for.
+class MockProvider {
+  constructor({ respond = null, model = 'mock' } = {}) {
+    this.name = 'mock';
+    this.model = model;
+    this.respond = respond || MockProvider.echoTitles;
+    this.calls = [];
+  }
+
+  static echoTitles(messages) {
+    const prompt = messages.map(m => m.content).join('\n');
+    const quoted = /"""([\s\S]*?)"""/.exec(prompt);
+    const text = quoted ? quoted[1] : '';
+    const titles = new Map();
+
+    let match;
+    // Words on one line only, so "--- Comment 1 ---" headers don't run into the next line's title
+    const yearPattern = /([A-Z][A-Za-z0-9&:'!?-]*(?:[ \t]+[A-Za-z0-9&:'!?-]+)*)[ \t]*\((\d{4})\)/g;
+    while ((match = yearPattern.exec(text)) !== null) {
+      titles.set(match[1].trim(), Number(match[2]));
+    }
+    const boldPattern = /\*\*([^*\n]{2,60})\*\*/g;
+    while ((match = boldPattern.exec(text)) !== null) {
+      if (!titles.has(match[1].trim())) titles.set(match[1].trim(), null);
+    }
+
+    return JSON.stringify({
+      titles: Array.from(titles, ([title, year]) => ({
+        title,
+        year,
+        media_type: 'movie',
+        stance: 'recommend',
+        reason: '',
+      })),
+    });
+  }
+
+  async complete(messages, options) {
+    this.calls.push({ messages, options });
+    const text = await this.respond(messages, options);
+    return { text: (text || '').trim(), usage: null };
+  }
+}
+
+const createProvider = (env = process.env) => {
+  const providerName = (env.LLM_PROVIDER || 'groq').toLowerCase();
+  const model = env.LLM_MODEL;
+
+  switch (providerName) {
+    case 'groq':
+      if (!env.GROQ_API_KEY) {
+        log.warn('⚠️ GROQ_API_KEY not found - AI parsing disabled');
+        return null;
+      }
+      return new GroqProvider({ apiKey: env.GROQ_API_KEY, model: model || undefined });
+
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        baseUrl: env.LLM_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY,
+        model: model || 'gpt-4o-mini',
+      });
+
+    case 'ollama':
+      return new OpenAICompatibleProvider({
+        name: 'ollama',
+        baseUrl: env.LLM_BASE_URL || 'http://localhost:11434/v1',
+        apiKey: env.LLM_API_KEY,
+        model: model || 'llama3.1',
+      });
+
+    case 'mock':
+      return new MockProvider();
+
+    case 'none':
+      return null;
+
+    default:
+      log.warn(`⚠️ Unknown LLM_PROVIDER "${providerName}" - AI parsing disabled`);
+      return null;
+  }
+};
+
+module.exports = { GroqProvider, OpenAICompatibleProvider, MockProvider, createProvider };
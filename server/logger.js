@@ -0,0 +1,90 @@
+// server/logger.js
+const crypto = require('crypto');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Holds { request_id, job_id, ... } for whatever request or job the current async call chain belongs to,
+// so service and parser logs carry the id without it being threaded through every call.
+const context = new AsyncLocalStorage();
+
+const levelFromEnv = () => {
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LEVELS[level] ? level : 'info';
+};
+
+const formatFromEnv = () => (process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'text')).toLowerCase();
+
+class Logger {
+  constructor(bindings = {}, root = null) {
+    this.bindings = bindings;
+    this.root = root || this;
+    if (!root) {
+      this.level = levelFromEnv();
+      this.format = formatFromEnv();
+    }
+  }
+
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings }, this.root);
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.root.level];
+  }
+
+  write(level, args) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const fields = { ...this.bindings, ...(context.getStore() || {}) };
+    const message = util.format(...args).trim();
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+    if (this.root.format === 'json') {
+      stream.write(`${JSON.stringify({ time: new Date().toISOString(), level, msg: message, ...fields })}\n`);
+      return;
+    }
+
+    const id = fields.request_id || fields.job_id;
+    const prefix = [
+      level === 'info' ? null : level.toUpperCase(),
+      id ? `[${String(id).slice(0, 8)}]` : null,
+    ].filter(Boolean).join(' ');
+    stream.write(`${prefix ? `${prefix} ` : ''}${message}\n`);
+  }
+
+  debug(...args) { this.write('debug', args); }
+
+  info(...args) { this.write('info', args); }
+
+  warn(...args) { this.write('warn', args); }
+
+  error(...args) { this.write('error', args); }
+}
+
+const logger = new Logger();
+
+// Merges fields into the current context for everything fn starts
+const withContext = (fields, fn) => context.run({ ...(context.getStore() || {}), ...fields }, fn);
+
+const currentContext = () => context.getStore() || {};
+
+// Accepts a sane incoming X-Request-Id (e.g. from a proxy), otherwise generates one
+const requestContext = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && /^[\w.-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  const startTime = Date.now();
+  res.on('finish', () => {
+    withContext({ request_id: requestId }, () => {
+      logger.debug(`${req.method} ${req.originalUrl} ${res.statusCode} ${Date.now() - startTime}ms`);
+    });
+  });
+
+  withContext({ request_id: requestId }, next);
+};
+
+module.exports = { logger, Logger, LEVELS, withContext, currentContext, requestContext };
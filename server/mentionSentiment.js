@@ -0,0 +1,127 @@
+// server/mentionSentiment.js
+
+// Heuristic stance for titles found by the regex fallback, which can't tell
+// "watch Heat" from "don't watch Heat" on its own.
+
+// Right before a title, these say the commenter is steering people away from it
+const STRONG_NEGATIONS = [
+  /\b(?:do not|don'?t|dont|never|wouldn'?t|won'?t|can'?t|cannot)\s+(?:ever\s+)?(?:watch|see|bother with|recommend|touch)\s*$/,
+  /\b(?:avoid|skip|stay away from|steer clear of|pass on|nothing like|unlike|instead of|rather than)\s*$/,
+  /\bnot\s+(?:as good as|like|worth)\s*$/,
+];
+
+const LEADING_NEGATION = /^(?:do not|don'?t|dont|never|avoid|skip|stay away from|nothing like|unlike)\b/;
+
+const NEGATORS = new Set(['not', 'no', 'never', "don't", 'dont', "didn't", 'didnt', "isn't", 'isnt', "wasn't", 'wasnt', "wouldn't", "won't", 'hardly', 'barely']);
+
+const NEGATIVE_WORDS = new Set([
+  'boring', 'bored', 'hate', 'overrated', 'disappointing', 'disappointed', 'disappointment', 'meh',
+  'bad', 'mediocre', 'dull', 'cringe', 'cringey', 'sucks', 'painful', 'forgettable', 'stupid',
+  'waste', 'skip', 'avoid', 'underwhelming', 'bland', 'annoying', 'nonsense', 'pretentious',
+]);
+
+// Count double: one of these is enough to drop the mention
+const STRONG_NEGATIVE_WORDS = new Set([
+  'terrible', 'awful', 'worst', 'hated', 'garbage', 'trash', 'unwatchable', 'horrible', 'sucked', 'abysmal',
+]);
+
+const POSITIVE_WORDS = new Set([
+  'great', 'love', 'loved', 'amazing', 'masterpiece', 'fantastic', 'excellent', 'recommend',
+  'recommended', 'favorite', 'favourite', 'brilliant', 'beautiful', 'good', 'awesome', 'incredible',
+  'perfect', 'gem', 'enjoyed', 'underrated', 'classic', 'must', 'superb', 'solid', 'best',
+]);
+
+// Sarcasm turns the positive words around: "oh great, another Transformers /s"
+const SARCASM_MARKERS = [/(?:^|\s)\/s\b/, /\byeah,? right\b/, /\boh (?:great|sure|wow)\b/, /\bif you (?:enjoy|like|love) (?:being bored|wasting|pain|suffering)/];
+
+// Clause boundaries, so "X was terrible but Y was great" scores X and Y separately
+const CLAUSE_BREAK = /\s+(?:but|however|although|though|whereas|while|except)\s+|[;()]|\s[-–—]\s/gi;
+// A comma also ends the clause before a title ("Skip Ronin, watch Thief") but not after it ("Heat, which was great")
+const LEAD_BREAK = /,\s*/g;
+
+const DECISIONS = { keep: 'keep', downweight: 'downweight', drop: 'drop' };
+
+// Confidence multiplier for mentions that read lukewarm or mixed
+const DOWNWEIGHT_FACTOR = 0.5;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const sentenceAround = (text, start, end) => {
+  const before = text.slice(0, start);
+  const sentenceStart = Math.max(before.search(/[^.!?\n]*$/), 0);
+  const after = text.slice(end).search(/[.!?\n]/);
+  return { start: sentenceStart, end: after === -1 ? text.length : end + after + 1 };
+};
+
+const clauseAround = (sentence, start, end) => {
+  let clauseStart = 0;
+  let clauseEnd = sentence.length;
+  let match;
+  CLAUSE_BREAK.lastIndex = 0;
+  while ((match = CLAUSE_BREAK.exec(sentence)) !== null) {
+    if (match.index + match[0].length <= start) clauseStart = match.index + match[0].length;
+    else if (match.index >= end && clauseEnd === sentence.length) clauseEnd = match.index;
+  }
+  LEAD_BREAK.lastIndex = 0;
+  while ((match = LEAD_BREAK.exec(sentence)) !== null && match.index < start) {
+    clauseStart = Math.max(clauseStart, match.index + match[0].length);
+  }
+  return { start: clauseStart, end: clauseEnd };
+};
+
+// Lexicon score for the clause around the title; a negator up to three words back flips a word
+const scoreClause = (clause, title, sarcastic) => {
+  const words = clause.toLowerCase().replace(title.toLowerCase(), ' ').match(/[a-z']+/g) || [];
+  let score = 0;
+  const cues = [];
+  words.forEach((word, i) => {
+    const positive = POSITIVE_WORDS.has(word);
+    const strong = STRONG_NEGATIVE_WORDS.has(word);
+    const negative = strong || NEGATIVE_WORDS.has(word);
+    if (!positive && !negative) return;
+
+    const negated = words.slice(Math.max(0, i - 3), i).some(previous => NEGATORS.has(previous));
+    let value = positive ? 1 : (strong ? -2 : -1);
+    if (negated) value = positive ? -1 : 0.5;
+    if (sarcastic && value > 0) value = -value;
+
+    score += value;
+    cues.push(`${negated ? 'not ' : ''}${word}`);
+  });
+  return { score, cues };
+};
+
+// Assesses one title mention in a comment. Returns
+// { decision: 'keep' | 'downweight' | 'drop', stance, sentiment, cues, reason }
+const assessMention = (text, title) => {
+  const body = String(text || '');
+  const found = new RegExp(escapeRegExp(String(title || '')), 'i').exec(body);
+  if (!found) {
+    return { decision: DECISIONS.keep, stance: 'neutral', sentiment: 0, cues: [], reason: null };
+  }
+
+  const { start, end } = sentenceAround(body, found.index, found.index + found[0].length);
+  const sentence = body.slice(start, end);
+  const titleStart = found.index - start;
+  const titleEnd = titleStart + found[0].length;
+  const reason = sentence.trim().slice(0, 150) || null;
+  const clause = clauseAround(sentence, titleStart, titleEnd);
+  const lead = sentence.slice(clause.start, titleStart).toLowerCase().replace(/["*_]/g, '');
+
+  // Line and bullet patterns can capture the negation itself: "Don't watch Cats"
+  const opening = found[0].toLowerCase().match(LEADING_NEGATION);
+  const strong = opening || STRONG_NEGATIONS.map(pattern => lead.match(pattern)).find(Boolean);
+  if (strong) {
+    return { decision: DECISIONS.drop, stance: 'avoid', sentiment: -2, cues: [strong[0].trim()], reason };
+  }
+
+  const sarcastic = SARCASM_MARKERS.some(pattern => pattern.test(sentence.toLowerCase()));
+  const { score, cues } = scoreClause(sentence.slice(clause.start, clause.end), found[0], sarcastic);
+  if (sarcastic) cues.push('sarcasm');
+
+  if (score <= -2) return { decision: DECISIONS.drop, stance: 'avoid', sentiment: score, cues, reason };
+  if (score < 0) return { decision: DECISIONS.downweight, stance: 'neutral', sentiment: score, cues, reason };
+  return { decision: DECISIONS.keep, stance: score > 0 ? 'recommend' : 'neutral', sentiment: score, cues, reason };
+};
+
+module.exports = { assessMention, DECISIONS, DOWNWEIGHT_FACTOR };
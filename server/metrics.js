@@ -0,0 +1,182 @@
+// server/metrics.js
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'metrics' });
+
+// Minimal Prometheus text-format (0.0.4) metrics: counters, histograms and collected gauges.
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).filter(([, value]) => value !== undefined);
+  if (pairs.length === 0) return '';
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const labelKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = labelKey(this.labelNames, labels);
+    const current = this.values.get(key);
+    this.values.set(key, { labels: current ? current.labels : this.pick(labels), value: (current ? current.value : 0) + value });
+  }
+
+  pick(labels) {
+    const picked = {};
+    this.labelNames.forEach(name => { picked[name] = labels[name] ?? ''; });
+    return picked;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    this.values.forEach(({ labels, value }) => lines.push(`${this.name}${formatLabels(labels)} ${value}`));
+    return lines.join('\n');
+  }
+}
+
+class Histogram extends Counter {
+  constructor(name, help, labelNames = [], buckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]) {
+    super(name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const key = labelKey(this.labelNames, labels);
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels: this.pick(labels), counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+    const series = this.values.get(key);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  // Returns end(extraLabels) which records elapsed seconds
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      this.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+    };
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    this.values.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines.join('\n');
+  }
+}
+
+// Values are read at scrape time: collect() -> [{ labels, value }]
+class Gauge {
+  constructor(name, help, collect) {
+    this.name = name;
+    this.help = help;
+    this.collect = collect;
+    this.type = 'gauge';
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    try {
+      this.collect().forEach(({ labels = {}, value }) => lines.push(`${this.name}${formatLabels(labels)} ${value}`));
+    } catch (error) {
+      log.warn(`⚠️ Metric ${this.name} collection failed:`, error.message);
+    }
+    return lines.join('\n');
+  }
+}
+
+// A monotonic count kept elsewhere (e.g. cache stats), read at scrape time like a Gauge
+class CollectedCounter extends Gauge {
+  constructor(name, help, collect) {
+    super(name, help, collect);
+    this.type = 'counter';
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  gauge(name, help, collect) {
+    return this.register(new Gauge(name, help, collect));
+  }
+
+  collectedCounter(name, help, collect) {
+    return this.register(new CollectedCounter(name, help, collect));
+  }
+
+  render() {
+    return `${Array.from(this.metrics.values()).map(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+const registry = new Registry();
+
+const metrics = {
+  httpDuration: registry.histogram('gotnext_http_request_duration_seconds',
+    'HTTP request latency by route', ['method', 'route', 'status']),
+  redditSearches: registry.counter('gotnext_reddit_search_requests_total',
+    'Reddit subreddit searches', ['subreddit']),
+  redditSearchFailures: registry.counter('gotnext_reddit_search_failures_total',
+    'Failed Reddit subreddit searches', ['subreddit']),
+  tmdbRequests: registry.counter('gotnext_tmdb_requests_total',
+    'TMDB HTTP requests, including retries', ['endpoint', 'status']),
+  tmdbRateLimited: registry.counter('gotnext_tmdb_rate_limited_total',
+    'TMDB responses with status 429', ['endpoint']),
+  llmRequests: registry.counter('gotnext_llm_requests_total',
+    'LLM completion calls', ['provider', 'model']),
+  llmTokens: registry.counter('gotnext_llm_tokens_total',
+    'LLM tokens used', ['provider', 'model', 'kind']),
+  llmErrors: registry.counter('gotnext_llm_errors_total',
+    'Failed LLM completion calls', ['provider', 'model']),
+  extractionPath: registry.counter('gotnext_extraction_path_total',
+    'Title extraction runs by path', ['path']),
+  regexMentionDecisions: registry.counter('gotnext_regex_mention_decisions_total',
+    'Regex-extracted mentions kept, down-weighted or dropped for negative context', ['decision']),
+  recommendationsReturned: registry.histogram('gotnext_recommendations_returned',
+    'Recommendations returned per search', ['mode'], [0, 1, 5, 10, 20, 30, 40, 50]),
+};
+
+// Express middleware; labels by the matched route pattern so ids don't explode cardinality
+const httpMetrics = (req, res, next) => {
+  const end = metrics.httpDuration.startTimer({ method: req.method });
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    end({ route, status: res.statusCode });
+  });
+  next();
+};
+
+module.exports = { Registry, Counter, Histogram, Gauge, CollectedCounter, registry, metrics, httpMetrics };
@@ -0,0 +1,102 @@
+// server/ranker.js
+const RANKING_MODES = ['reddit', 'tmdb', 'hybrid'];
+
+const WEIGHTS = {
+  reddit: 0.6,
+  tmdb: 0.4,
+  bothSourcesBoost: 0.3,
+};
+
+// Position-based score in (0, 1]: first item 1, last item close to 0
+const rankScore = (index, total) => (total > 0 ? 1 - index / total : 0);
+
+const redditScores = (redditRecs) => {
+  const maxScore = Math.max(0, ...redditRecs.map(rec => rec.finalScore || 0));
+  return redditRecs.map((rec, index) => (maxScore > 0
+    ? (rec.finalScore || 0) / maxScore
+    : rankScore(index, redditRecs.length)));
+};
+
+// Merges Reddit and TMDB candidates by TMDB id. Titles found by both sources get a boost.
+const blendRecommendations = (redditRecs = [], tmdbRecs = [], { weights = WEIGHTS } = {}) => {
+  const merged = new Map();
+
+  const normalizedReddit = redditScores(redditRecs);
+  redditRecs.forEach((rec, index) => {
+    merged.set(rec.id, {
+      ...rec,
+      // addOrUpdateRecommendation's own `sources` lists how each mention was extracted
+      extraction_sources: rec.sources || [],
+      sources: ['reddit'],
+      source_scores: { reddit: normalizedReddit[index], tmdb: 0 },
+    });
+  });
+
+  tmdbRecs.forEach((rec, index) => {
+    const tmdbScore = rankScore(index, tmdbRecs.length);
+    const existing = merged.get(rec.id);
+    if (existing) {
+      if (!existing.sources.includes('tmdb')) existing.sources.push('tmdb');
+      existing.source_scores.tmdb = Math.max(existing.source_scores.tmdb, tmdbScore);
+    } else {
+      merged.set(rec.id, {
+        ...rec,
+        sources: ['tmdb'],
+        source_scores: { reddit: 0, tmdb: tmdbScore },
+      });
+    }
+  });
+
+  return Array.from(merged.values())
+    .map(rec => {
+      const both = rec.sources.length > 1;
+      const blended = weights.reddit * rec.source_scores.reddit
+        + weights.tmdb * rec.source_scores.tmdb
+        + (both ? weights.bothSourcesBoost : 0);
+      return { ...rec, blended_score: Number(blended.toFixed(4)) };
+    })
+    .sort((a, b) => b.blended_score - a.blended_score);
+};
+
+const mediaKey = (rec, fallbackType) => `${rec.media_type || (rec.title ? 'movie' : rec.name ? 'tv' : fallbackType)}_${rec.id}`;
+
+// Combines per-seed ranked lists: titles recommended for more seeds rank first, then by summed score.
+// seedResults: [{ seed: { type, id, title }, recommendations: [...] }]
+const combineSeedResults = (seedResults) => {
+  const seedKeys = new Set(seedResults.map(({ seed }) => `${seed.type}_${seed.id}`));
+  const merged = new Map();
+
+  seedResults.forEach(({ seed, recommendations }) => {
+    recommendations.forEach(rec => {
+      const key = mediaKey(rec, seed.type);
+      if (seedKeys.has(key)) return;
+
+      const contribution = rec.blended_score || 0;
+      const existing = merged.get(key);
+      if (existing) {
+        existing.combined_score += contribution;
+        existing.seed_attribution.push({ ...seed, score: contribution });
+        rec.sources.forEach(source => {
+          if (!existing.sources.includes(source)) existing.sources.push(source);
+        });
+        if (!existing.reddit_data && rec.reddit_data) {
+          existing.reddit_data = rec.reddit_data;
+          existing.source_type = rec.source_type;
+        }
+      } else {
+        merged.set(key, {
+          ...rec,
+          sources: [...rec.sources],
+          combined_score: contribution,
+          seed_attribution: [{ ...seed, score: contribution }],
+        });
+      }
+    });
+  });
+
+  return Array.from(merged.values())
+    .map(rec => ({ ...rec, seed_count: rec.seed_attribution.length, combined_score: Number(rec.combined_score.toFixed(4)) }))
+    .sort((a, b) => (b.seed_count - a.seed_count) || (b.combined_score - a.combined_score));
+};
+
+module.exports = { RANKING_MODES, WEIGHTS, blendRecommendations, combineSeedResults };
@@ -0,0 +1,169 @@
+// server/recorder.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MODES = ['off', 'record', 'replay'];
+
+class ReplayMissError extends Error {
+  constructor(namespace, key) {
+    super(`No recorded fixture for ${namespace} call: ${JSON.stringify(key).substring(0, 200)}`);
+    this.name = 'ReplayMissError';
+    this.code = 'REPLAY_MISS';
+  }
+}
+
+// JSON.stringify with sorted object keys so equivalent calls hash the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const serializeComment = (comment, depth = 0, maxDepth = 6) => {
+  let replies = [];
+  if (depth < maxDepth && comment.replies && typeof comment.replies[Symbol.iterator] === 'function') {
+    replies = Array.from(comment.replies)
+      .filter(reply => reply && reply.body)
+      .map(reply => serializeComment(reply, depth + 1, maxDepth));
+  }
+
+  return {
+    id: comment.id,
+    body: comment.body,
+    score: comment.score,
+    created_utc: comment.created_utc,
+    permalink: comment.permalink,
+    author: comment.author?.name ? { name: comment.author.name } : null,
+    replies,
+  };
+};
+
+const serializePost = (post) => ({
+  id: post.id,
+  title: post.title,
+  selftext: post.selftext,
+  score: post.score,
+  num_comments: post.num_comments,
+  permalink: post.permalink,
+  created_utc: post.created_utc,
+  subreddit: { display_name: post.subreddit?.display_name || null },
+  author: post.author?.name ? { name: post.author.name } : null,
+});
+
+class Recorder {
+  constructor({ mode = 'off', dir = path.join(__dirname, 'fixtures', 'recordings') } = {}) {
+    if (!MODES.includes(mode)) throw new Error(`RECORD_REPLAY_MODE must be one of: ${MODES.join(', ')}`);
+    this.mode = mode;
+    this.dir = dir;
+  }
+
+  isRecording() {
+    return this.mode === 'record';
+  }
+
+  isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  fixturePath(namespace, key) {
+    const hash = crypto.createHash('sha1').update(stableStringify(key)).digest('hex');
+    return path.join(this.dir, namespace, `${hash}.json`);
+  }
+
+  // Runs fetcher() normally, saving its result when recording; returns the saved result when replaying
+  async wrap(namespace, key, fetcher) {
+    if (this.mode === 'off') return fetcher();
+
+    const filePath = this.fixturePath(namespace, key);
+
+    if (this.isReplaying()) {
+      if (!fs.existsSync(filePath)) throw new ReplayMissError(namespace, key);
+      const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (fixture.error) {
+        const error = new Error(fixture.error.message);
+        Object.assign(error, fixture.error);
+        throw error;
+      }
+      return fixture.response;
+    }
+
+    let response;
+    try {
+      response = await fetcher();
+    } catch (error) {
+      this.save(filePath, {
+        namespace,
+        key,
+        error: { message: error.message, code: error.code, status: error.response?.status },
+      });
+      throw error;
+    }
+
+    this.save(filePath, { namespace, key, response });
+    return response;
+  }
+
+  save(filePath, fixture) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({ ...fixture, recorded_at: new Date().toISOString() }, null, 2));
+  }
+
+  // Exposes the subset of the snoowrap API the service uses, returning plain serialized objects.
+  // client may be null when replaying without Reddit credentials.
+  wrapRedditClient(client) {
+    if (this.mode === 'off') return client;
+
+    const listing = (subreddit, method, options) => this.wrap(
+      'reddit',
+      { subreddit, method, options },
+      async () => Array.from(await client.getSubreddit(subreddit)[method](options) || []).map(serializePost)
+    );
+
+    return {
+      getSubreddit: (subreddit) => ({
+        search: (options) => listing(subreddit, 'search', options),
+        getHot: (options) => listing(subreddit, 'getHot', options),
+      }),
+      getSubmission: (id) => {
+        const serializeSubmission = (submission) => ({
+          ...serializePost(submission),
+          comments: Array.from(submission.comments || [])
+            .filter(comment => comment && comment.body)
+            .map(comment => serializeComment(comment)),
+        });
+        return {
+          fetch: () => this.wrap('reddit', { submission: id }, async () => (
+            serializeSubmission(await client.getSubmission(id).fetch())
+          )),
+          expandReplies: (options) => this.wrap('reddit', { submission: id, expandReplies: options }, async () => (
+            serializeSubmission(await client.getSubmission(id).expandReplies(options))
+          )),
+        };
+      },
+    };
+  }
+
+  // The mock provider is deterministic, so it answers live instead of needing fixtures
+  wrapProvider(provider) {
+    if (this.mode === 'off' || (!provider && !this.isReplaying()) || provider?.name === 'mock') return provider;
+
+    return {
+      name: provider ? provider.name : 'replay',
+      model: provider ? provider.model : 'replay',
+      complete: (messages, options) => this.wrap('llm', { messages, options }, () => provider.complete(messages, options)),
+    };
+  }
+}
+
+const createRecorder = () => new Recorder({
+  mode: (process.env.RECORD_REPLAY_MODE || 'off').toLowerCase(),
+  dir: process.env.RECORD_REPLAY_DIR || undefined,
+});
+
+module.exports = { Recorder, ReplayMissError, createRecorder, stableStringify };
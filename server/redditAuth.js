@@ -0,0 +1,96 @@
+// server/redditAuth.js
+const snoowrap = require('snoowrap');
+
+const AUTH_MODES = ['refresh_token', 'password', 'client_credentials'];
+
+// snoowrap 1.x only knows refresh-token and password grants; this adds reddit's
+// app-only client_credentials grant (read-only access, no user account needed).
+class AppOnlySnoowrap extends snoowrap {
+  constructor({ userAgent, clientId, clientSecret }) {
+    // The constructor insists on some credential; the placeholder is replaced on first request
+    super({ userAgent, clientId, clientSecret, accessToken: 'pending' });
+    this.accessToken = null;
+    this.tokenExpiration = 0;
+  }
+
+  updateAccessToken() {
+    if (this.accessToken && Date.now() < this.tokenExpiration) {
+      return Promise.resolve(this.accessToken);
+    }
+
+    return this.credentialedClientRequest({
+      method: 'post',
+      uri: 'api/v1/access_token',
+      form: { grant_type: 'client_credentials' },
+    }).then((tokenInfo) => {
+      if (tokenInfo.error) {
+        throw new Error(`Reddit client_credentials grant failed: ${tokenInfo.error}`);
+      }
+      this.accessToken = tokenInfo.access_token;
+      this.tokenExpiration = Date.now() + tokenInfo.expires_in * 1000;
+      this.scope = (tokenInfo.scope || '').split(' ');
+      return this.accessToken;
+    });
+  }
+}
+
+const readCredentials = (env) => {
+  const value = (name) => (env[name] || '').trim();
+  return {
+    clientId: value('REDDIT_CLIENT_ID'),
+    clientSecret: value('REDDIT_CLIENT_SECRET'),
+    refreshToken: value('REDDIT_REFRESH_TOKEN'),
+    username: value('REDDIT_USERNAME'),
+    password: value('REDDIT_PASSWORD'),
+  };
+};
+
+const redditUserAgent = (env = process.env) => {
+  if (env.REDDIT_USER_AGENT) return env.REDDIT_USER_AGENT.trim();
+  const username = (env.REDDIT_USERNAME || '').trim();
+  return `web:got-next-app:v1.0.0${username ? ` (by /u/${username})` : ''}`;
+};
+
+// REDDIT_AUTH_MODE forces a mode; otherwise the most capable one the env has credentials for wins
+const detectAuthMode = (env = process.env) => {
+  const forced = (env.REDDIT_AUTH_MODE || '').trim().toLowerCase();
+  if (forced) return AUTH_MODES.includes(forced) ? forced : null;
+
+  const { clientId, clientSecret, refreshToken, username, password } = readCredentials(env);
+  if (!clientId || !clientSecret) return null;
+  if (refreshToken) return 'refresh_token';
+  if (username && password) return 'password';
+  return 'client_credentials';
+};
+
+// Returns { client, mode }, or { client: null, mode, missing } when credentials are incomplete
+const createRedditClient = (env = process.env) => {
+  const mode = detectAuthMode(env);
+  const credentials = readCredentials(env);
+  const userAgent = redditUserAgent(env);
+
+  const required = {
+    refresh_token: ['clientId', 'clientSecret', 'refreshToken'],
+    password: ['clientId', 'clientSecret', 'username', 'password'],
+    client_credentials: ['clientId', 'clientSecret'],
+  }[mode] || ['clientId', 'clientSecret'];
+
+  const missing = required.filter(field => !credentials[field]);
+  if (!mode || missing.length > 0) {
+    return { client: null, mode, missing };
+  }
+
+  const { clientId, clientSecret, refreshToken, username, password } = credentials;
+  let client;
+  if (mode === 'refresh_token') {
+    client = new snoowrap({ userAgent, clientId, clientSecret, refreshToken });
+  } else if (mode === 'password') {
+    client = new snoowrap({ userAgent, clientId, clientSecret, username, password });
+  } else {
+    client = new AppOnlySnoowrap({ userAgent, clientId, clientSecret });
+  }
+
+  return { client, mode, missing: [] };
+};
+
+module.exports = { AUTH_MODES, AppOnlySnoowrap, createRedditClient, detectAuthMode, redditUserAgent };
@@ -1,65 +1,131 @@
 // server/redditServiceV2.js 
-const snoowrap = require('snoowrap');
-const axios = require('axios');
+const crypto = require('crypto');
 const AIParser = require('./aiParser');
+const TmdbClient = require('./tmdbClient');
+const { createCache } = require('./cache');
+const { createRecorder } = require('./recorder');
+const { SubredditRouter } = require('./subredditRouter');
+const { createRedditClient } = require('./redditAuth');
+const { expandAbbreviation, matchConfidence, rankCandidates } = require('./titleMatcher');
+const { assessMention, DECISIONS, DOWNWEIGHT_FACTOR } = require('./mentionSentiment');
+const { Scorer } = require('./scoring');
+const { DEFAULT_STRATEGY, getStrategy } = require('./searchStrategies');
+const { ENDORSEMENT_WEIGHT, replyTreeFromEnv, flattenCommentTree, depthWeight, isEndorsement } = require('./commentTree');
+const { metrics } = require('./metrics');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'reddit' });
+
+// Comment contexts kept per recommendation, and how much of each comment they quote
+const MAX_CONTEXTS = 5;
+const EXCERPT_LENGTH = 400;
+
+const contextVotes = (context) => context.upvotes ?? context.score ?? 0;
+
+// Extracted titles whose best TMDB candidate scores below this are dropped rather than guessed
+const MIN_MATCH_CONFIDENCE = 0.65;
 
 class ImprovedRedditService {
-  constructor(tmdbApiKey, tmdbAccessToken) {
+  constructor(tmdbApiKey, tmdbAccessToken, options = {}) {
     this.tmdbApiKey = tmdbApiKey;
     this.tmdbAccessToken = tmdbAccessToken;
-    this.tmdbBaseUrl = 'https://api.themoviedb.org/3';
+    this.cache = options.cache || createCache();
+    this.recorder = options.recorder || createRecorder();
+    this.tmdb = options.tmdb || new TmdbClient({
+      apiKey: tmdbApiKey,
+      accessToken: tmdbAccessToken,
+      recorder: this.recorder,
+    });
+    this.aiParser = new AIParser({ recorder: this.recorder });
+    this.subredditRouter = options.subredditRouter || new SubredditRouter();
+    this.minMatchConfidence = options.minMatchConfidence
+      ?? (process.env.MIN_MATCH_CONFIDENCE ? Number(process.env.MIN_MATCH_CONFIDENCE) : MIN_MATCH_CONFIDENCE);
+    this.replyTree = { ...replyTreeFromEnv(), ...(options.replyTree || {}) };
+    this.scorer = options.scorer || new Scorer();
+
+    this.authMode = null;
+
+    if (this.recorder.isReplaying()) {
+        this.authMode = 'replay';
+        this.reddit = this.recorder.wrapRedditClient(null);
+        log.info('📼 Reddit client replaying recorded fixtures');
+        return;
+    }
 
     try {
-        const clientId = process.env.REDDIT_CLIENT_ID;
-        const clientSecret = process.env.REDDIT_CLIENT_SECRET;
-        const username = process.env.REDDIT_USERNAME;
-        const password = process.env.REDDIT_PASSWORD;
+        const { client, mode, missing } = createRedditClient();
+        this.authMode = mode;
 
-        if (!clientId || !clientSecret || !username || !password) {
-            console.warn('⚠️ Reddit credentials incomplete');
+        if (!client) {
+            log.warn(`⚠️ Reddit credentials incomplete${missing.length ? ` (missing ${missing.join(', ')})` : ''}`);
             this.reddit = null;
             return;
         }
 
-        const userAgent = `web:got-next-app:v1.0.0 (by /u/${username.trim()})`;
-        
-        this.reddit = new snoowrap({
-            userAgent: userAgent,
-            clientId: clientId.trim(),
-            clientSecret: clientSecret.trim(),
-            username: username.trim(),
-            password: password.trim(),
-        });
+        this.reddit = this.recorder.wrapRedditClient(client);
 
-        console.log('✅ Reddit API client initialized successfully');
+        log.info(`✅ Reddit API client initialized (${mode} auth)`);
     } catch (error) {
-        console.error('❌ Failed to initialize Reddit client:', error.message);
+        log.error('❌ Failed to initialize Reddit client:', error.message);
         this.reddit = null;
     }
-
-    this.cache = new Map();
-    this.cacheExpiry = 24 * 60 * 60 * 1000;
-    this.aiParser = new AIParser();
   }
 
   isAvailable() {
     return this.reddit !== null;
   }
 
-  async getCached(key, fetcher) {
-    const cached = this.cache.get(key);
-    if (cached && Date.now() - cached.timestamp < this.cacheExpiry) {
-      console.log(`📦 Cache hit for: ${key}`);
-      return cached.data;
+  async getCached(key, fetcher, namespace = 'tmdb') {
+    const cached = this.cache.get(namespace, key);
+    if (cached !== undefined) {
+      log.debug(`📦 Cache hit for: ${key}`);
+      return cached;
     }
 
     const data = await fetcher();
-    this.cache.set(key, { data, timestamp: Date.now() });
+    if (data !== undefined && data !== null) {
+      this.cache.set(namespace, key, data);
+    }
     return data;
   }
-  
 
-  
+  getCacheStats() {
+    return this.cache.getStats();
+  }
+
+  hashText(text) {
+    return crypto.createHash('sha1').update(text).digest('hex');
+  }
+
+  withoutAvoided(entries) {
+    const kept = entries.filter(entry => entry.stance !== 'avoid');
+    if (kept.length < entries.length) {
+      const dropped = entries.filter(entry => entry.stance === 'avoid').map(entry => entry.title);
+      log.debug(`  🚫 Dropping ${dropped.length} title(s) the comments warn against: ${dropped.join(', ')}`);
+    }
+    return kept;
+  }
+
+  llmModelKey() {
+    const provider = this.aiParser.provider;
+    return provider ? `${provider.name}:${provider.model}` : 'none';
+  }
+
+  // The parser answers [] for "no titles" (cached like any answer) and null when the call failed (not cached)
+  async extractTitlesCached(text, originalTitle, contentType = 'movie') {
+    const key = `structured_${this.llmModelKey()}_${contentType}_${this.hashText(`${originalTitle}\n${text}`)}`;
+    return this.getCached(key, () => this.aiParser.extractTitles(text, originalTitle, contentType), 'llm');
+  }
+
+  async extractTitlesFromMultipleCommentsCached(comments, originalTitle, contentType = 'movie') {
+    const key = `structured_batch_${this.llmModelKey()}_${contentType}_${this.hashText(`${originalTitle}\n${comments.join('\n')}`)}`;
+    return this.getCached(
+      key,
+      () => this.aiParser.extractTitlesFromMultipleComments(comments, originalTitle, contentType),
+      'llm'
+    );
+  }
+
 
   async searchAndValidateTMDB(title, year = null, contentType = 'movie') {
     if (!title) return [];
@@ -68,8 +134,7 @@ class ImprovedRedditService {
     return this.getCached(cacheKey, async () => {
       try {
         const params = { 
-          api_key: this.tmdbApiKey, 
-          query: title, 
+          query: expandAbbreviation(title, contentType), 
           include_adult: false 
         };
         
@@ -79,13 +144,9 @@ class ImprovedRedditService {
         }
         
         const endpoint = contentType === 'tv' ? '/search/tv' : '/search/movie';
-        const response = await axios.get(`${this.tmdbBaseUrl}${endpoint}`, {
-          headers: { Authorization: `Bearer ${this.tmdbAccessToken}` },
-          params: params,
-          timeout: 10000,
-        });
+        const data = await this.tmdb.get(endpoint, params);
 
-        let results = (response.data.results || [])
+        let results = (data.results || [])
           .filter((m) => {
           const hasTitle = contentType === 'tv' ? m.name : m.title;
           return m && hasTitle && m.poster_path && m.vote_average > 0;
@@ -93,69 +154,111 @@ class ImprovedRedditService {
         
         if (year && results.length > 0) {
           const exactYearMatch = results.find(m => {
-            const releaseYear = m.release_date ? m.release_date.split('-')[0] : null;
-            return releaseYear === year;
+            const releaseDate = m.release_date || m.first_air_date;
+            const releaseYear = releaseDate ? releaseDate.split('-')[0] : null;
+            return releaseYear === String(year);
           });
           
           if (exactYearMatch) {
-            return [exactYearMatch, ...results.filter(m => m.id !== exactYearMatch.id)].slice(0, 3);
+            return [exactYearMatch, ...results.filter(m => m.id !== exactYearMatch.id)].slice(0, 5);
           }
         }
         
-        return results.slice(0, 3);
+        return results.slice(0, 5);
       } catch (error) {
-        console.error(`❌ TMDB search error for "${title}":`, error.message || error);
+        log.error(`❌ TMDB search error for "${title}":`, error.message || error);
         return [];
       }
     });
   }
 
+  async getAlternativeTitles(id, contentType = 'movie') {
+    const titles = await this.getCached(`alt_titles_${contentType}_${id}`, async () => {
+      try {
+        const data = await this.tmdb.get(`/${contentType === 'tv' ? 'tv' : 'movie'}/${id}/alternative_titles`);
+        return (data.titles || data.results || []).map(entry => entry.title).filter(Boolean);
+      } catch (error) {
+        log.warn(`⚠️ Could not fetch alternative titles for ${contentType} ${id}:`, error.message);
+        return null;
+      }
+    });
+    return titles || [];
+  }
+
+  // Picks the TMDB search result that best matches an extracted title, or null when none is
+  // confident enough. Alternative titles are only fetched when the plain titles fall short.
+  async matchTMDB(title, year = null, contentType = 'movie') {
+    const candidates = await this.searchAndValidateTMDB(title, year, contentType);
+    if (candidates.length === 0) return null;
+
+    let [best] = rankCandidates(title, candidates, { year, contentType });
+    if (best.confidence < this.minMatchConfidence) {
+      const alternativeTitles = new Map();
+      await Promise.all(candidates.map(async (candidate) => {
+        alternativeTitles.set(candidate.id, await this.getAlternativeTitles(candidate.id, contentType));
+      }));
+      [best] = rankCandidates(title, candidates, { year, contentType, alternativeTitles });
+    }
+
+    if (best.confidence < this.minMatchConfidence) {
+      log.debug(`  🚫 Rejected "${title}" → "${best.candidate.title || best.candidate.name}" (confidence ${best.confidence})`);
+      return null;
+    }
+
+    return { match: best.candidate, confidence: best.confidence, matchedTitle: best.matchedTitle, via: best.via };
+  }
+
   async extractRecommendationsFromPost(text, originalTitle, contentType = 'movie') {
   if (!text || typeof text !== 'string') return [];
 
   if (this.aiParser && this.aiParser.isAvailable()) {
-    const aiTitles = await this.aiParser.extractTitles(text, originalTitle, contentType);
+    const aiTitles = await this.extractTitlesCached(text, originalTitle, contentType);
     
     if (aiTitles && aiTitles.length > 0) {
-      console.log(`  🤖 Using AI-extracted titles (${aiTitles.length} found)`);
+      log.debug(`  🤖 Using AI-extracted titles (${aiTitles.length} found)`);
       
       const validated = [];
-      for (const titleStr of aiTitles) {
-        const yearMatch = /\((\d{4})\)/.exec(titleStr);
-        const title = titleStr.replace(/\s*\(\d{4}\)\s*/, '').trim();
-        const year = yearMatch ? yearMatch[1] : null;
+      const recommendable = this.withoutAvoided(aiTitles);
+      for (const entry of recommendable) {
+        const { title, year } = entry;
         
         try {
-          const tmdbResults = await this.searchAndValidateTMDB(title, year, contentType);
-          if (tmdbResults.length > 0) {
-            const matchedMovie = tmdbResults[0];
+          const matched = await this.matchTMDB(title, year, contentType);
+          if (matched) {
+            const matchedMovie = matched.match;
             const movieYear = matchedMovie.release_date 
               ? matchedMovie.release_date.split('-')[0] 
               : matchedMovie.first_air_date 
                 ? matchedMovie.first_air_date.split('-')[0] 
                 : 'Unknown';
-            console.log(`  ✅ "${title}"${year ? ` (${year})` : ''} → "${matchedMovie.title || matchedMovie.name}" (${movieYear})`);
+            log.debug(`  ✅ "${title}"${year ? ` (${year})` : ''} → "${matchedMovie.title || matchedMovie.name}" (${movieYear})`);
             validated.push({
               extractedTitle: title,
               tmdbMatch: matchedMovie,
-              confidence: this.calculateMatchConfidence(title, matchedMovie.title || matchedMovie.name),
+              confidence: matched.confidence,
+              matchedVia: matched.via,
+              stance: entry.stance,
+              reason: entry.reason,
             });
           }
         } catch (error) {
-          console.log(`  ⚠️ Error for "${title}": ${error.message}`);
+          log.warn(`  ⚠️ Error for "${title}": ${error.message}`);
         }
         
         await this.sleep(100);
       }
       
-      if (validated.length > 0) {
-        console.log(`  ✅ ${validated.length} AI recommendations validated`);
+      // Only warnings found: don't let the regex fallback pick those titles back up
+      if (validated.length > 0 || recommendable.length === 0) {
+        log.debug(`  ✅ ${validated.length} AI recommendations validated`);
+        metrics.extractionPath.inc({ path: 'ai' });
         return validated;
       }
     }
   }
 
-  console.log('  📝 Using regex extraction (AI unavailable or failed)');
+  log.debug('  📝 Using regex extraction (AI unavailable or failed)');
+  metrics.extractionPath.inc({ path: 'regex' });
   const potentialTitles = new Set();
   const titlesWithYears = new Map();
 
@@ -210,7 +313,7 @@ class ImprovedRedditService {
         potentialTitles.add(match[1].trim());
     }
 
-    console.log(`  📝 Extracted ${potentialTitles.size} potential titles`);
+    log.debug(`  📝 Extracted ${potentialTitles.size} potential titles`);
 
     const filtered = Array.from(potentialTitles).filter((t) => {
       const lower = t.toLowerCase();
@@ -248,12 +351,25 @@ class ImprovedRedditService {
       return /[A-Za-z]{2,}/.test(t);
     });
 
-    console.log(`  🔍 ${filtered.length} titles after filtering`);
+    log.debug(`  🔍 ${filtered.length} titles after filtering`);
+
+    // The patterns can't see "don't watch X" or "X was terrible", so check the words around each title
+    const assessments = new Map();
+    const recommendable = filtered.filter((title) => {
+      const assessment = assessMention(text, title);
+      metrics.regexMentionDecisions.inc({ decision: assessment.decision });
+      if (assessment.decision === DECISIONS.drop) {
+        log.debug(`  🚫 Dropping "${title}" - negative context (${assessment.cues.join(', ')})`);
+        return false;
+      }
+      assessments.set(title, assessment);
+      return true;
+    });
 
     const validated = [];
     const batchSize = 5;
     
-    const titlesToProcess = filtered.slice(0, 20);
+    const titlesToProcess = recommendable.slice(0, 20);
 
     for (let i = 0; i < titlesToProcess.length; i += batchSize) {
         const batch = titlesToProcess.slice(i, i + batchSize);
@@ -262,23 +378,29 @@ class ImprovedRedditService {
             batch.map(async title => {
                 try {
                     const year = titlesWithYears.get(title);
-                    const tmdbResults = await this.searchAndValidateTMDB(title, year);
+                    const matched = await this.matchTMDB(title, year, contentType);
                     
-                    if (tmdbResults.length > 0) {
-                        const matchedMovie = tmdbResults[0];
-                        const movieYear = matchedMovie.release_date ? matchedMovie.release_date.split('-')[0] : 'Unknown';
-                        console.log(`  ✅ "${title}"${year ? ` (${year})` : ''} → "${matchedMovie.title}" (${movieYear})`);
+                    if (matched) {
+                        const matchedMovie = matched.match;
+                        const releaseDate = matchedMovie.release_date || matchedMovie.first_air_date;
+                        const movieYear = releaseDate ? releaseDate.split('-')[0] : 'Unknown';
+                        log.debug(`  ✅ "${title}"${year ? ` (${year})` : ''} → "${matchedMovie.title || matchedMovie.name}" (${movieYear})`);
+                        const { decision, stance, sentiment, cues, reason } = assessments.get(title);
                         return {
                             extractedTitle: title,
                             tmdbMatch: matchedMovie,
-                            confidence: this.calculateMatchConfidence(title, matchedMovie.title),
+                            confidence: decision === DECISIONS.downweight ? matched.confidence * DOWNWEIGHT_FACTOR : matched.confidence,
+                            matchedVia: matched.via,
+                            stance,
+                            reason,
+                            contextCheck: { decision, sentiment, cues },
                         };
                     } else {
-                        console.log(`  ❌ No match: "${title}"${year ? ` (${year})` : ''}`);
+                        log.debug(`  ❌ No match: "${title}"${year ? ` (${year})` : ''}`);
                         return null;
                     }
                 } catch (error) {
-                    console.log(`  ⚠️ Error for "${title}": ${error.message}`);
+                    log.warn(`  ⚠️ Error for "${title}": ${error.message}`);
                     return null;
                 }
             })
@@ -291,28 +413,13 @@ class ImprovedRedditService {
         await this.sleep(100);
     }
 
-    console.log(`  ✅ ${validated.length} movies validated via TMDB`);
+    log.debug(`  ✅ ${validated.length} movies validated via TMDB`);
     return validated;
   }
 
-  calculateMatchConfidence(extracted, tmdbTitle) {
-    if (!extracted || !tmdbTitle) return 0;
-    const e = String(extracted).toLowerCase().trim();
-    const t = String(tmdbTitle).toLowerCase().trim();
-    if (e === t) return 1.0;
-    
-    const cleanE = e.replace(/^(the|a|an)\s+/i, '');
-    const cleanT = t.replace(/^(the|a|an)\s+/i, '');
-    if (cleanE === cleanT) return 0.95;
-    
-    const eWords = new Set(cleanE.split(/\s+/));
-    const tWords = new Set(cleanT.split(/\s+/));
-    let common = 0;
-    eWords.forEach((word) => {
-      if (tWords.has(word) && word.length > 2) common++;
-    });
-    
-    return common / (Math.max(eWords.size, tWords.size) || 1);
+  // tmdbItem may be a TMDB result or a bare title; see titleMatcher for how titles are compared
+  calculateMatchConfidence(extracted, tmdbItem, options = {}) {
+    return matchConfidence(extracted, tmdbItem, options).confidence;
   }
 
 calculatePostRelevance(postTitle, searchMovieTitle, releaseYear = null) {
@@ -379,12 +486,54 @@ calculatePostRelevance(postTitle, searchMovieTitle, releaseYear = null) {
   return score;
 }
 
-async getQuickRecommendations(movieTitle, limit = 32, contentType = 'movie') {
+// One crawl pipeline; options.strategy ('quick' | 'comprehensive' | 'exhaustive', see searchStrategies.js)
+// decides how many subreddits, posts and replies it reads, whether comments go to the LLM in
+// one batch, and when it gives up. Ends with a 'search_finished' event summarizing the run.
+async getRecommendations(movieTitle, limit = 32, contentType = 'movie', options = {}) {
     if (!this.isAvailable()) return [];
 
+    const strategy = getStrategy(options.strategy || DEFAULT_STRATEGY);
+    const startedAt = Date.now();
+    let stoppedReason = null;
+    let postsChecked = 0;
+    const outOfTime = () => {
+        if (Date.now() - startedAt < strategy.timeBudgetMs) return false;
+        if (!stoppedReason) log.info(`⏱️ ${strategy.name} search hit its ${strategy.timeBudgetMs / 1000}s budget - stopping`);
+        stoppedReason = 'time_budget';
+        return true;
+    };
+
+    // onProgress(event, data) receives pipeline events as they happen (used for SSE streaming)
+    const emit = (event, data) => {
+        if (typeof options.onProgress !== 'function') return;
+        try {
+            options.onProgress(event, data);
+        } catch (e) {
+            log.warn(`  ⚠️ Progress listener error: ${e.message}`);
+        }
+    };
+
+    const finish = (results) => {
+        emit('search_finished', {
+            strategy: strategy.name,
+            elapsed_ms: Date.now() - startedAt,
+            posts_checked: postsChecked,
+            stopped_reason: stoppedReason || 'exhausted',
+            recommendations: results.length,
+        });
+        return results;
+    };
+
     try {
-        console.log(`🔍 Searching for ${contentType === 'tv' ? 'TV shows' : 'movies'} like: ${movieTitle}`);
+        log.info(`🔍 Searching (${strategy.name}) for ${contentType === 'tv' ? 'TV shows' : 'movies'} like: ${movieTitle}`);
         const recommendations = new Map();
+
+        let route = null;
+        const addRecommendation = (movie, context) => {
+            this.addOrUpdateRecommendation(recommendations, movie, { ...context, weight: route.weightFor(context.subreddit) });
+            const rec = recommendations.get(movie?.tmdbMatch?.id);
+            if (rec) emit('recommendation', { recommendation: rec, total: recommendations.size });
+        };
         
         let originalGenres = null;
         let releaseYear = null;
@@ -394,11 +543,11 @@ async getQuickRecommendations(movieTitle, limit = 32, contentType = 'movie') {
                 originalGenres = await this.getMovieGenres(searchResults[0].id, contentType);
                 const releaseDate = searchResults[0].release_date || searchResults[0].first_air_date;
                 releaseYear = releaseDate ? releaseDate.split('-')[0] : null;
-                console.log(`📋 Original: ${searchResults[0].title || searchResults[0].name} (${releaseYear})`);
-                console.log(`📋 Genres: ${originalGenres.map(g => g.name).join(', ')}`);
+                log.info(`📋 Original: ${searchResults[0].title || searchResults[0].name} (${releaseYear})`);
+                log.info(`📋 Genres: ${originalGenres.map(g => g.name).join(', ')}`);
             }
         } catch (e) {
-            console.log('⚠️ Could not fetch original movie details');
+            log.warn('⚠️ Could not fetch original movie details');
         }
         
         const movieTitleClean = movieTitle.replace(/\s*\(\d{4}\)\s*$/, '').trim();
@@ -448,66 +597,77 @@ async getQuickRecommendations(movieTitle, limit = 32, contentType = 'movie') {
             query = `(title:${baseTerms.join(' OR title:')})`;
         }
 
-        console.log(`🔍 Search query: "${query}"`);
+        log.info(`🔍 Search query: "${query}"`);
         
-        const subreddits = contentType === 'tv' 
-            ? ['televisionsuggestions', 'television', 'NetflixBestOf', 'DisneyPlus', 'HBOMax']
-            : ['MovieSuggestions', 'movies', 'NetflixBestOf', 'DisneyPlus', 'HBOMax', 'amazonprime'];
+        route = this.routeSubreddits(contentType, originalGenres, strategy.subredditSet, strategy.maxGenreSubreddits);
+        const subreddits = route.names;
         
-        console.log(`📺 Searching across ${subreddits.length} subreddits: ${subreddits.join(', ')}`);
+        log.info(`📺 Searching across ${subreddits.length} subreddits: ${subreddits.join(', ')}`);
+        emit('search_started', { query: movieTitleClean, subreddits });
         
         let allResults = [];
         
         for (const subreddit of subreddits) {
+            if (outOfTime()) break;
             try {
-                console.log(`  🔍 Searching r/${subreddit}...`);
+                log.debug(`  🔍 Searching r/${subreddit}...`);
+                metrics.redditSearches.inc({ subreddit });
                 const results = await this.reddit
                     .getSubreddit(subreddit)
                     .search({
                         query: query,
                         sort: 'relevance',
                         time: 'all',
-                        limit: 20  
+                        limit: strategy.postsPerSubreddit
                     });
                 
                 const resultsArray = Array.isArray(results) ? results : Array.from(results || []);
-                console.log(`  ✅ Found ${resultsArray.length} posts in r/${subreddit}`);
+                log.debug(`  ✅ Found ${resultsArray.length} posts in r/${subreddit}`);
+                emit('subreddit_searched', { subreddit, posts: resultsArray.length });
                 allResults = allResults.concat(resultsArray);
                 
                 await this.sleep(500); 
                 
             } catch (searchError) {
-                console.log(`  ⚠️ Error searching r/${subreddit}: ${searchError.message}`);
+                log.warn(`  ⚠️ Error searching r/${subreddit}: ${searchError.message}`);
+                metrics.redditSearchFailures.inc({ subreddit });
+                emit('subreddit_failed', { subreddit, error: searchError.message });
                 continue; 
             }
         }
         
         if (allResults.length === 0) {
-            console.log(`❌ No posts found across all subreddits`);
-            return [];
+            log.warn(`❌ No posts found across all subreddits`);
+            return finish([]);
         }
         
         const resultsArray = allResults;
-        console.log(`📊 Found ${resultsArray.length} posts`);
+        log.info(`📊 Found ${resultsArray.length} posts`);
+        emit('posts_found', { total: resultsArray.length });
         
         const minRecommendations = 8;
         const batchSize = 3;
         let shouldStop = false;
         let postsProcessed = 0;
-        const maxPostsToProcess = 25;  
+        const maxPostsToProcess = strategy.maxPosts;
         
 for (let i = 0; i < Math.min(resultsArray.length, maxPostsToProcess); i += batchSize) {
   if (recommendations.size >= limit) {
-        console.log(`✅ Reached maximum ${recommendations.size} recommendations - stopping search`);
+        log.info(`✅ Reached maximum ${recommendations.size} recommendations - stopping search`);
+        stoppedReason = 'limit';
         break;
     }
     
     if (shouldStop && recommendations.size >= minRecommendations) {
-        console.log(`✅ Reached ${recommendations.size} recommendations (minimum met) - stopping search`);
+        log.info(`✅ Reached ${recommendations.size} recommendations (minimum met) - stopping search`);
+        stoppedReason = 'enough';
         break;
     }
+
+    if (outOfTime()) break;
     
     const batch = resultsArray.slice(i, i + batchSize);
+    postsChecked += batch.length;
     
     const scoredBatch = batch.map(post => ({
         post,
@@ -521,14 +681,14 @@ for (let i = 0; i < Math.min(resultsArray.length, maxPostsToProcess); i += batch
         }
         
         const titleText = post?.title || '';
-        console.log(`\n🔍 Checking post: "${titleText}" (relevance: ${relevance})`);
+        log.debug(`\n🔍 Checking post: "${titleText}" (relevance: ${relevance})`);
       
 const titleLower = titleText.toLowerCase();
 const movieTitleOnly = movieTitleClean;
 const queryLower = movieTitleOnly.toLowerCase();
 
-console.log(`\n   🎯 Checking post: "${titleText}"`);
-console.log(`   🔍 Looking for: "${movieTitleOnly}"`);
+log.debug(`\n   🎯 Checking post: "${titleText}"`);
+log.debug(`   🔍 Looking for: "${movieTitleOnly}"`);
 
 const escapedQuery = queryLower.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
@@ -537,7 +697,7 @@ const movieMentionedWithYear = releaseYear && new RegExp(`${escapedQuery}[\\s]*\
 const movieMentioned = movieMentionedPlain || movieMentionedWithYear;
 
 if (!movieMentioned) {
-    console.log(`   🚫 REJECTED: "${movieTitleOnly}" not mentioned in post`);
+    log.debug(`   🚫 REJECTED: "${movieTitleOnly}" not mentioned in post`);
     return;
 }
 
@@ -567,114 +727,126 @@ const isValidPost =
     (hasMovieWithYear && hasRecKeywords);
 
 if (!isValidPost) {
-    console.log(`   🚫 REJECTED: Not asking for "${movieTitleOnly}" recommendations`);
-    console.log(`   ❌ Post doesn't match recommendation patterns`);
+    log.debug(`   🚫 REJECTED: Not asking for "${movieTitleOnly}" recommendations`);
+    log.debug(`   ❌ Post doesn't match recommendation patterns`);
     return;
 }
 
 const askingForSpecificAttribute = /(movies?|films?)\s+(with|that have|featuring)\s+(good|great|amazing|intense)\s+(fight|action|scene|effect|music)/i.test(titleText);
 if (askingForSpecificAttribute && !patternMoviesLike.test(titleText) && !patternSimilarTo.test(titleText)) {
-    console.log(`   🚫 REJECTED: Post is asking for movies with specific attributes (not about "${movieTitleOnly}")`);
+    log.debug(`   🚫 REJECTED: Post is asking for movies with specific attributes (not about "${movieTitleOnly}")`);
     return;
 }
 
-console.log(`   ✅ VALID: Post is asking for recommendations related to "${movieTitleOnly}"`);
+log.debug(`   ✅ VALID: Post is asking for recommendations related to "${movieTitleOnly}"`);
+emit('post_parsing', {
+    title: titleText,
+    subreddit: post?.subreddit?.display_name || 'unknown',
+    url: post?.permalink ? `https://reddit.com${post.permalink}` : null,
+    relevance
+});
+                
+                // A thread can take minutes to expand and parse, so the budget is rechecked in here too
+                if (outOfTime()) return;
                 
                 if (post.num_comments > 0) {
                     try {
-                        const submission = await this.reddit.getSubmission(post.id).fetch();
-                        let comments = submission.comments || [];
-                        
-                        if (!Array.isArray(comments)) {
-                            if (comments && typeof comments[Symbol.iterator] === 'function') {
-                                comments = Array.from(comments);
-                            } else {
-                                return;
+                        const thread = await this.fetchThread(post.id, strategy.replyTree);
+                        const topComments = thread.map(entry => entry.comment);
+                        const depthOf = new Map(thread.map(entry => [entry.comment, entry.depth]));
+                        const titlesByComment = new Map();
+                        const addFromComment = (movie, comment, context) => {
+                            addRecommendation(movie, { ...context, relevance, depth: depthOf.get(comment) ?? 0 });
+                            if (comment?.id && recommendations.has(movie.tmdbMatch.id)) {
+                                titlesByComment.set(comment.id, [...(titlesByComment.get(comment.id) || []), movie]);
                             }
-                        }
-                        
-                        const topComments = comments
-                            .filter(c => c && c.body && c.body.length >= 5)
-                            .sort((a, b) => (b.score || 0) - (a.score || 0))
-                            .slice(0, 15);
+                        };
                         
-                        console.log(`   Processing ${topComments.length} top comments...`);
+                        log.debug(`   Processing ${topComments.length} comments (${thread.filter(entry => entry.depth > 0).length} replies)...`);
                         
                         let usedAIBatch = false;
                         
-                        if (this.aiParser && this.aiParser.isAvailable() && topComments.length > 0) {
-                            console.log(`   🤖 Using AI batch extraction for ${topComments.length} comments`);
+                        if (strategy.aiBatch && this.aiParser && this.aiParser.isAvailable() && topComments.length > 0) {
+                            log.debug(`   🤖 Using AI batch extraction for ${topComments.length} comments`);
                             
                             const commentTexts = topComments.map(c => c.body);
-                            const aiTitles = await this.aiParser.extractTitlesFromMultipleComments(
+                            const aiTitles = await this.extractTitlesFromMultipleCommentsCached(
                                 commentTexts,
                                 movieTitle,
                                 contentType
                             );
                             
                             if (aiTitles && aiTitles.length > 0) {
-                                console.log(`   ✅ AI batch found ${aiTitles.length} titles - validating with TMDB...`);
+                                log.debug(`   ✅ AI batch found ${aiTitles.length} titles - validating with TMDB...`);
                                 usedAIBatch = true;
+                                metrics.extractionPath.inc({ path: 'ai_batch' });
                                 
-                                for (const titleStr of aiTitles) {
+                                for (const entry of this.withoutAvoided(aiTitles)) {
+                                    if (outOfTime()) break;
                                     if (recommendations.size >= limit) {
-                                        console.log(`   🛑 Reached ${limit} recommendations - stopping`);
+                                        log.debug(`   🛑 Reached ${limit} recommendations - stopping`);
                                         shouldStop = true;
                                         break;
                                     }
                                     
-                                    const yearMatch = /\((\d{4})\)/.exec(titleStr);
-                                    const title = titleStr.replace(/\s*\(\d{4}\)\s*/, '').trim();
-                                    const year = yearMatch ? yearMatch[1] : null;
+                                    const { title, year } = entry;
                                     
                                     try {
-                                        const tmdbResults = await this.searchAndValidateTMDB(title, year, contentType);
-                                        if (tmdbResults.length > 0) {
-                                            const matchedMovie = tmdbResults[0];
+                                        const matched = await this.matchTMDB(title, year, contentType);
+                                        if (matched) {
+                                            const matchedMovie = matched.match;
                                             
                                             // Genre filtering
                                             if (originalGenres && originalGenres.length > 0) {
                                                 try {
                                                     const movieGenres = await this.getMovieGenres(matchedMovie.id, contentType);
                                                     if (!this.isGenreSimilar(originalGenres, movieGenres)) {
-                                                        console.log(`  ⏭️ Skipping "${matchedMovie.title || matchedMovie.name}" - genre mismatch`);
+                                                        log.debug(`  ⏭️ Skipping "${matchedMovie.title || matchedMovie.name}" - genre mismatch`);
                                                         continue;
                                                     }
                                                 } catch (e) {
-                                                    console.log(`  ⚠️ Genre check failed`);
+                                                    log.warn(`  ⚠️ Genre check failed`);
                                                 }
                                             }
                                             
-                                            this.addOrUpdateRecommendation(recommendations, {
+                                            // The batch prompt doesn't say which comment a title came from, so find it by text
+                                            const sourceComment = topComments.find(c => c.body.toLowerCase().includes(title.toLowerCase()));
+                                            
+                                            addFromComment({
                                                 extractedTitle: title,
                                                 tmdbMatch: matchedMovie,
-                                                confidence: this.calculateMatchConfidence(title, matchedMovie.title || matchedMovie.name)
-                                            }, {
+                                                confidence: matched.confidence,
+                                                matchedVia: matched.via,
+                                            }, sourceComment, {
                                                 source: 'ai-batch',
                                                 subreddit: post?.subreddit?.display_name || 'unknown',
-                                                score: 10, // High score for AI-extracted
+                                                score: sourceComment?.score || 1,
                                                 url: post?.permalink ? `https://reddit.com${post.permalink}` : '#',
+                                                stance: entry.stance,
+                                                reason: entry.reason || null,
+                                                ...this.commentDetails(sourceComment, post),
                                             });
                                             
-                                            console.log(`  ✅ Added: "${matchedMovie.title || matchedMovie.name}"`);
+                                            log.debug(`  ✅ Added: "${matchedMovie.title || matchedMovie.name}"`);
                                         }
                                     } catch (error) {
-                                        console.log(`  ⚠️ Error validating "${title}"`);
+                                        log.warn(`  ⚠️ Error validating "${title}"`);
                                     }
                                     
                                     await this.sleep(100);
                                 }
                             } else {
-                                console.log(`   ℹ️ AI batch found nothing - falling back to regex`);
+                                log.debug(`   ℹ️ AI batch found nothing - falling back to regex`);
                             }
                         }
                         
                         if (!usedAIBatch && !shouldStop && recommendations.size < limit) {
-                            console.log(`   📝 Using regex extraction for comments`);
+                            log.debug(`   📝 Extracting titles comment by comment`);
                             const commentBatchSize = 5;
                             for (let j = 0; j < topComments.length; j += commentBatchSize) {
+                            if (outOfTime()) break;
                             if (recommendations.size >= limit) {
-                                console.log(`   ⏸️ Stopping comment processing - found enough results (${recommendations.size}/${limit})`);
+                                log.debug(`   ⏸️ Stopping comment processing - found enough results (${recommendations.size}/${limit})`);
                                 shouldStop = true;
                                 break;
                             }
@@ -701,11 +873,11 @@ console.log(`   ✅ VALID: Post is asking for recommendations related to "${movi
                                       continue;
                                   }
 
-                                  console.log(`   📝 Comment found ${commentMovies.length} potential recommendation(s)`);
+                                  log.debug(`   📝 Comment found ${commentMovies.length} potential recommendation(s)`);
                                 
                                 for (const movie of commentMovies) {
                                     if (recommendations.size >= limit) {
-                                        console.log(`   🛑 Hard stop - reached ${limit} recommendations`);
+                                        log.debug(`   🛑 Hard stop - reached ${limit} recommendations`);
                                         shouldStop = true;
                                         break;
                                     }
@@ -717,19 +889,23 @@ console.log(`   ✅ VALID: Post is asking for recommendations related to "${movi
                                         try {
                                             const movieGenres = await this.getMovieGenres(movie.tmdbMatch.id, contentType);
                                             if (!this.isGenreSimilar(originalGenres, movieGenres)) {
-                                                console.log(`  ⏭️ Skipping "${movie.tmdbMatch.title || movie.tmdbMatch.name}" - genre mismatch`);
+                                                log.debug(`  ⏭️ Skipping "${movie.tmdbMatch.title || movie.tmdbMatch.name}" - genre mismatch`);
                                                 continue;
                                             }
                                         } catch (e) {
-                                            console.log(`  ⚠️ Genre check failed for "${movie.tmdbMatch.title}"`);
+                                            log.warn(`  ⚠️ Genre check failed for "${movie.tmdbMatch.title}"`);
                                         }
                                     }
                                     
-                                    this.addOrUpdateRecommendation(recommendations, movie, {
+                                    addFromComment(movie, comment, {
                                         source: 'comment',
                                         subreddit: post?.subreddit?.display_name || 'unknown',
                                         score: comment.score || 1,
                                         url: post?.permalink ? `https://reddit.com${post.permalink}` : '#',
+                                        stance: movie.stance || null,
+                                        reason: movie.reason || null,
+                                        context_check: movie.contextCheck || null,
+                                        ...this.commentDetails(comment, post),
                                     });
                                 }
                                 
@@ -739,8 +915,22 @@ console.log(`   ✅ VALID: Post is asking for recommendations related to "${movi
                             if (shouldStop) break;
                         }
                         }  // Close the if (!usedAIBatch) block
+                        
+                        this.endorsements(thread, titlesByComment).forEach(({ movie, comment, depth }) => {
+                            addRecommendation(movie, {
+                                source: 'endorsement',
+                                subreddit: post?.subreddit?.display_name || 'unknown',
+                                score: comment.score || 1,
+                                url: post?.permalink ? `https://reddit.com${post.permalink}` : '#',
+                                stance: 'recommend',
+                                reason: null,
+                                relevance,
+                                depth,
+                                ...this.commentDetails(comment, post),
+                            });
+                        });
                     } catch (commentError) {
-                        console.log('   ⚠️ Could not fetch comments:', commentError.message);
+                        log.warn('   ⚠️ Could not fetch comments:', commentError.message);
                     }
                 }
             }));
@@ -749,12 +939,14 @@ console.log(`   ✅ VALID: Post is asking for recommendations related to "${movi
             
             // Stop conditions
             if (recommendations.size >= limit) {
-                console.log(`   ✅ Maximum ${recommendations.size} recommendations reached - stopping`);
+                log.debug(`   ✅ Maximum ${recommendations.size} recommendations reached - stopping`);
+                stoppedReason = 'limit';
                 break;
             }
             
             if (shouldStop && recommendations.size >= minRecommendations) {
-                console.log(`   ✅ Found ${recommendations.size} recommendations (minimum met) - stopping`);
+                log.debug(`   ✅ Found ${recommendations.size} recommendations (minimum met) - stopping`);
+                stoppedReason = 'enough';
                 break;
             }
             
@@ -765,113 +957,34 @@ console.log(`   ✅ VALID: Post is asking for recommendations related to "${movi
             .sort((a, b) => (b.finalScore || 0) - (a.finalScore || 0))
             .slice(0, limit);
             
-        console.log(`\n✅ Final: ${finalResults.length} unique recommendations (min: ${minRecommendations}, max: ${limit})`);
+        log.info(`\n✅ Final: ${finalResults.length} unique recommendations (min: ${minRecommendations}, max: ${limit})`);
         
         // Warn if we didn't reach minimum
         if (finalResults.length < minRecommendations) {
-            console.log(`⚠️ Warning: Only found ${finalResults.length} recommendations (below minimum of ${minRecommendations})`);
+            log.warn(`⚠️ Warning: Only found ${finalResults.length} recommendations (below minimum of ${minRecommendations})`);
         }
         
-        return finalResults;
+        return finish(finalResults);
         
     } catch (err) {
-        console.error('❌ Search error:', err.message);
-        return [];
+        log.error('❌ Search error:', err.message);
+        stoppedReason = 'error';
+        return finish([]);
     }
 }
 
 
-  async getRecommendations(movieTitle, limit = 32, contentType = 'movie') {
-    if (!this.isAvailable()) return [];
-
-    const cacheKey = `reddit_recs_${movieTitle.toLowerCase()}`;
-    return this.getCached(cacheKey, async () => {
-        const recommendations = new Map();
-
-        const subreddits = contentType === 'tv' 
-        ? ['televisionsuggestions', 'ifyoulikeblank', 'tv_shows','DisneyPlus','NetflixBestOf','AmazonPrimeVideo','HBOMax','HBO']
-        : ['MovieSuggestions', 'ifyoulikeblank', 'movies','DisneyPlus','NetflixBestOf','AmazonPrimeVideo','HBOMax','HBO'];
-        
-        for (const subreddit of subreddits) {
-            const searchTerm = contentType === 'tv' ? 'tv shows' : 'movies';
-            const query = `${searchTerm} like ${movieTitle}`;
-            
-            try {
-                console.log(`🔍 Searching r/${subreddit}`);
-                const results = await this.reddit.getSubreddit(subreddit).search({
-                    query,
-                    sort: 'relevance',
-                    time: 'all',
-                    limit: 10,
-                });
-
-                const resultsArray = Array.isArray(results) ? results : Array.from(results || []);
-
-            for (const post of resultsArray) {
-                if (recommendations.size >= limit) {
-                    console.log(`✅ Reached ${recommendations.size} recommendations in r/${subreddit} - moving to next subreddit`);
-                    break;
-                }
-                
-                const titleText = post?.title || '';
-                    
-                    if (post.num_comments > 0) {
-                        try {
-                            const submission = await this.reddit.getSubmission(post.id).fetch();
-                            let comments = submission.comments || [];
-                            
-                            if (!Array.isArray(comments) && comments && typeof comments[Symbol.iterator] === 'function') {
-                                comments = Array.from(comments);
-                            }
-                            
-                            for (let i = 0; i < Math.min(comments.length, 40); i++) {
-                                const comment = comments[i];
-                                if (!comment?.body || comment.body.length < 5) continue;
-                                
-                                const movies = await this.extractRecommendationsFromPost(comment.body, movieTitle, contentType);
-                                
-                                movies.forEach((movie) =>
-                                    this.addOrUpdateRecommendation(recommendations, movie, {
-                                        source: 'comment',
-                                        subreddit,
-                                        score: comment.score || 0,
-                                        url: `https://reddit.com${post.permalink}`,
-                                    })
-                                );
-                            }
-                        } catch (commentError) {
-                            console.log(`   ⚠️ Comment error: ${commentError.message}`);
-                        }
-                    }
-                }
-
-                await this.sleep(1500);
-            } catch (err) {
-                console.error(`❌ Error in r/${subreddit}:`, err.message);
-            }
-        }
-
-          const finalResults = Array.from(recommendations.values())
-              .sort((a, b) => (b.finalScore || 0) - (a.finalScore || 0))
-              .slice(0, limit);
-
-          const stoppedEarly = recommendations.size >= limit;
-          console.log(`\n✅ Final: ${finalResults.length} unique recommendations${stoppedEarly ? ' (stopped early - found enough results)' : ''}`);
-          return finalResults;
-    });
-  }
   async getMovieGenres(movieId, contentType = 'movie') {
-  try {
-    const endpoint = contentType === 'tv' ? `/tv/${movieId}` : `/movie/${movieId}`;
-    const response = await axios.get(`${this.tmdbBaseUrl}${endpoint}`, {
-      headers: { Authorization: `Bearer ${this.tmdbAccessToken}` },
-      params: { api_key: this.tmdbApiKey },
-      timeout: 5000,
-    });
-    return response.data.genres || [];
-  } catch (error) {
-    return [];
-  }
+  const genres = await this.getCached(`genres_${contentType}_${movieId}`, async () => {
+    try {
+      const endpoint = contentType === 'tv' ? `/tv/${movieId}` : `/movie/${movieId}`;
+      const data = await this.tmdb.get(endpoint, {}, { timeout: 5000 });
+      return data.genres || [];
+    } catch (error) {
+      return null;
+    }
+  }, 'genres');
+  return genres || [];
 }
 
 isGenreSimilar(genres1, genres2) {
@@ -889,12 +1002,26 @@ isGenreSimilar(genres1, genres2) {
   addOrUpdateRecommendation(map, movie, context) {
     if (!movie?.tmdbMatch?.id) return;
     const id = movie.tmdbMatch.id;
+    // Replies count for less the deeper they sit, a bare "+1" less than naming the title, and each
+    // mention by its subreddit's weight from subreddits.json (also averaged into subreddit_quality).
+    const weight = depthWeight(context.depth)
+      * (context.source === 'endorsement' ? ENDORSEMENT_WEIGHT : 1)
+      * (context.weight ?? 1);
+    const upvotes = Math.max(0, context.upvotes ?? context.score ?? 0);
 
     if (!map.has(id)) {
       map.set(id, {
         ...movie.tmdbMatch,
         mentions: 1,
+        weightedMentions: weight,
         totalConfidence: movie.confidence || 0,
+        signals: {
+          upvotes,
+          relevance: context.relevance ?? null,
+          newest_utc: context.created_utc || null,
+          subreddit_weight_total: context.weight ?? 1,
+          mention_count: 1,
+        },
         contexts: [context],
         subredditsSet: new Set([context.subreddit]),
         sources: [context.source],
@@ -903,7 +1030,17 @@ isGenreSimilar(genres1, genres2) {
     } else {
       const existing = map.get(id);
       existing.mentions++;
+      existing.weightedMentions = (existing.weightedMentions ?? existing.mentions - 1) + weight;
       existing.totalConfidence += movie.confidence || 0;
+
+      const signals = existing.signals;
+      signals.upvotes += upvotes;
+      if (context.relevance !== undefined && context.relevance !== null) {
+        signals.relevance = Math.max(signals.relevance ?? -Infinity, context.relevance);
+      }
+      if (context.created_utc) signals.newest_utc = Math.max(signals.newest_utc || 0, context.created_utc);
+      signals.subreddit_weight_total += context.weight ?? 1;
+      signals.mention_count++;
       
       if (!existing.subredditsSet) {
         existing.subredditsSet = new Set(existing.subreddits || []);
@@ -912,17 +1049,69 @@ isGenreSimilar(genres1, genres2) {
       
       existing.sources.push(context.source);
       if (!existing.redditUrls.includes(context.url)) existing.redditUrls.push(context.url);
-      if (existing.contexts.length < 3) existing.contexts.push(context);
+      // Keep the most upvoted supporting comments, not just the first ones seen
+      existing.contexts = [...existing.contexts, context]
+        .sort((a, b) => contextVotes(b) - contextVotes(a))
+        .slice(0, MAX_CONTEXTS);
     }
 
     const rec = map.get(id);
     rec.avgConfidence = rec.mentions ? rec.totalConfidence / rec.mentions : 0;
-    rec.finalScore = rec.avgConfidence * Math.log(rec.mentions + 1) * ((rec.vote_average || 0) / 10);
+    const { total, breakdown } = this.scorer.score(rec);
+    rec.finalScore = total;
+    rec.score_breakdown = breakdown;
     rec.subreddits = Array.from(rec.subredditsSet);
     delete rec.subredditsSet;
   }
 
+  // Comments and replies of a submission, flattened breadth-first within the reply-tree limits
+  async fetchThread(postId, overrides = {}) {
+    const replyTree = { ...this.replyTree, ...overrides };
+    const submission = this.reddit.getSubmission(postId);
+    const fetched = replyTree.loadMore > 0
+      ? await submission.expandReplies({ limit: replyTree.loadMore, depth: replyTree.maxDepth })
+      : await submission.fetch();
+    return flattenCommentTree(fetched.comments, replyTree);
+  }
+
+  // Replies that named no titles themselves but agree with a parent that did, as
+  // [{ movie, comment, depth }]; an endorsement of an endorsement carries the titles down.
+  endorsements(thread, titlesByComment) {
+    const endorsed = new Map(titlesByComment);
+    const found = [];
+    thread.forEach(({ comment, depth, parentId }) => {
+      if (!parentId || titlesByComment.has(comment.id) || !endorsed.has(parentId) || !isEndorsement(comment.body)) return;
+      endorsed.set(comment.id, endorsed.get(parentId));
+      endorsed.get(parentId).forEach(movie => found.push({ movie, comment, depth }));
+    });
+    return found;
+  }
+
+  routeSubreddits(contentType, genres, setName, maxGenreSubreddits) {
+    const route = this.subredditRouter.route(contentType, genres, setName, maxGenreSubreddits);
+    const extra = route.subreddits.filter(entry => entry.reason !== 'base');
+    if (extra.length > 0) {
+      log.info(`🧭 Genre subreddits: ${extra.map(entry => `r/${entry.name} (${entry.reason})`).join(', ')}`);
+    }
+    return route;
+  }
+
+  // What the explain-why panel shows for one mention: the comment excerpt, its upvotes and links
+  commentDetails(comment, post) {
+    const body = (comment?.body || '').replace(/\s+/g, ' ').trim();
+    return {
+      excerpt: body.length > EXCERPT_LENGTH ? `${body.slice(0, EXCERPT_LENGTH).trim()}…` : body || null,
+      upvotes: typeof comment?.score === 'number' ? comment.score : null,
+      author: comment?.author?.name || null,
+      comment_url: comment?.permalink ? `https://reddit.com${comment.permalink}` : null,
+      thread_title: post?.title || null,
+      created_utc: comment?.created_utc || post?.created_utc || null,
+    };
+  }
+
   sleep(ms) {
+    // Rate-limit pauses are pointless against recorded fixtures
+    if (this.recorder.isReplaying()) return Promise.resolve();
     return new Promise((resolve) => setTimeout(resolve, ms));
   }
 }
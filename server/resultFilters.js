@@ -0,0 +1,125 @@
+// server/resultFilters.js
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'filters' });
+
+const CURRENT_YEAR = new Date().getFullYear();
+
+const toList = (value) => [].concat(value ?? [])
+  .flatMap(entry => String(entry).split(','))
+  .map(entry => entry.trim())
+  .filter(Boolean);
+
+const yearOf = (item) => {
+  const date = item.release_date || item.first_air_date;
+  const year = typeof date === 'string' ? parseInt(date.split('-')[0], 10) : NaN;
+  return Number.isNaN(year) ? null : year;
+};
+
+// Reads filters from a query string or JSON body:
+//   with_genres / without_genres  comma-separated TMDB genre ids (with_genres matches any of them)
+//   year_min / year_max, runtime_min / runtime_max (minutes)
+//   min_vote_average (0-10), min_vote_count, language (ISO 639-1, comma-separated)
+const parseFilters = (source = {}) => {
+  const filters = {};
+  const errors = [];
+
+  const genreList = (name) => {
+    const values = toList(source[name]);
+    if (values.length === 0) return;
+    if (values.some(value => !/^\d+$/.test(value))) {
+      errors.push(`${name} must be a comma-separated list of genre ids`);
+    } else {
+      filters[name] = values.map(Number);
+    }
+  };
+
+  const number = (name, min, max) => {
+    if (source[name] === undefined || source[name] === '') return;
+    const value = Number(source[name]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      errors.push(`${name} must be a number between ${min} and ${max}`);
+    } else {
+      filters[name] = value;
+    }
+  };
+
+  genreList('with_genres');
+  genreList('without_genres');
+  number('year_min', 1870, CURRENT_YEAR + 10);
+  number('year_max', 1870, CURRENT_YEAR + 10);
+  number('runtime_min', 0, 1000);
+  number('runtime_max', 0, 1000);
+  number('min_vote_average', 0, 10);
+  number('min_vote_count', 0, 1000000);
+
+  const languages = toList(source.language).map(value => value.toLowerCase());
+  if (languages.length > 0) {
+    if (languages.some(value => !/^[a-z]{2}$/.test(value))) {
+      errors.push('language must be a comma-separated list of two-letter language codes');
+    } else {
+      filters.language = languages;
+    }
+  }
+
+  if (filters.year_min > filters.year_max) errors.push('year_min must not be after year_max');
+  if (filters.runtime_min > filters.runtime_max) errors.push('runtime_min must not be above runtime_max');
+
+  return { filters, errors };
+};
+
+const needsRuntime = (filters) => filters.runtime_min !== undefined || filters.runtime_max !== undefined;
+
+// Everything except runtime, which list endpoints don't return. Items missing a
+// field that a filter asks about are dropped rather than guessed at.
+const matchesFilters = (item, filters) => {
+  const genres = item.genre_ids || (item.genres || []).map(genre => genre.id);
+  if (filters.with_genres && !filters.with_genres.some(id => genres.includes(id))) return false;
+  if (filters.without_genres && filters.without_genres.some(id => genres.includes(id))) return false;
+
+  if (filters.year_min !== undefined || filters.year_max !== undefined) {
+    const year = yearOf(item);
+    if (year === null) return false;
+    if (filters.year_min !== undefined && year < filters.year_min) return false;
+    if (filters.year_max !== undefined && year > filters.year_max) return false;
+  }
+
+  if (filters.min_vote_average !== undefined && (item.vote_average || 0) < filters.min_vote_average) return false;
+  if (filters.min_vote_count !== undefined && (item.vote_count || 0) < filters.min_vote_count) return false;
+  if (filters.language && !filters.language.includes(item.original_language)) return false;
+
+  return true;
+};
+
+// getRuntime(type, id) -> minutes or null; only called when a runtime filter is set
+const applyFilters = async (items, filters, { getRuntime, fallbackType, limit = 80, batchSize = 5 } = {}) => {
+  if (!filters || Object.keys(filters).length === 0) return items;
+
+  const matching = items.filter(item => matchesFilters(item, filters));
+  if (!needsRuntime(filters)) return matching;
+
+  const kept = [];
+  const candidates = matching.slice(0, limit);
+  for (let i = 0; i < candidates.length; i += batchSize) {
+    const checked = await Promise.all(candidates.slice(i, i + batchSize).map(async item => {
+      const type = item.media_type || fallbackType || (item.title ? 'movie' : 'tv');
+      let runtime = null;
+      try {
+        runtime = await getRuntime(type, item.id);
+      } catch (error) {
+        log.warn(`  ⚠️ Runtime lookup failed for ${type}/${item.id}: ${error.message}`);
+      }
+      if (!runtime) return null;
+      if (filters.runtime_min !== undefined && runtime < filters.runtime_min) return null;
+      if (filters.runtime_max !== undefined && runtime > filters.runtime_max) return null;
+      return { ...item, runtime };
+    }));
+    checked.forEach(item => {
+      if (item) kept.push(item);
+    });
+  }
+
+  return kept;
+};
+
+module.exports = { parseFilters, matchesFilters, applyFilters, needsRuntime };
@@ -0,0 +1,96 @@
+// server/scoring.js
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'scoring' });
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'scoring.json');
+
+const SECONDS_PER_YEAR = 365.25 * 24 * 3600;
+
+const loadScoringConfig = (filePath = process.env.SCORING_CONFIG || DEFAULT_CONFIG_PATH) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (filePath === DEFAULT_CONFIG_PATH) throw error;
+    log.warn(`⚠️ Could not load scoring config ${filePath}, using defaults:`, error.message);
+    return JSON.parse(fs.readFileSync(DEFAULT_CONFIG_PATH, 'utf8'));
+  }
+};
+
+// Saturating log scale: 0 -> 0, `at` -> 1, capped there
+const logScale = (value, at) => (value > 0 && at > 0 ? Math.min(1, Math.log1p(value) / Math.log1p(at)) : 0);
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+// Each signal reads the aggregates addOrUpdateRecommendation keeps on a recommendation and
+// returns { value, normalized } where normalized is 0-1. Register more with registerSignal().
+const SIGNALS = {
+  confidence: (rec) => ({ value: rec.avgConfidence || 0, normalized: clamp01(rec.avgConfidence || 0) }),
+  mentions: (rec, config) => ({
+    value: rec.weightedMentions ?? rec.mentions ?? 0,
+    normalized: logScale(rec.weightedMentions ?? rec.mentions ?? 0, config.saturation.mentions),
+  }),
+  upvotes: (rec, config) => {
+    const upvotes = rec.signals?.upvotes || 0;
+    return { value: upvotes, normalized: logScale(upvotes, config.saturation.upvotes) };
+  },
+  relevance: (rec, config) => {
+    const relevance = rec.signals?.relevance ?? null;
+    return { value: relevance, normalized: relevance === null ? 0 : clamp01(relevance / config.saturation.relevance) };
+  },
+  // Halves every recency_half_life_years since the newest comment that mentioned the title
+  recency: (rec, config, now) => {
+    const newest = rec.signals?.newest_utc || null;
+    if (!newest) return { value: null, normalized: 0 };
+    const ageYears = Math.max(0, now / 1000 - newest) / SECONDS_PER_YEAR;
+    return { value: Number(ageYears.toFixed(2)), normalized: 0.5 ** (ageYears / config.recency_half_life_years) };
+  },
+  subreddit_quality: (rec, config) => {
+    const count = rec.signals?.mention_count || 0;
+    const average = count ? rec.signals.subreddit_weight_total / count : 1;
+    return { value: Number(average.toFixed(3)), normalized: clamp01(average / config.saturation.subreddit_weight) };
+  },
+  rating: (rec) => ({ value: rec.vote_average || 0, normalized: clamp01((rec.vote_average || 0) / 10) }),
+};
+
+const registerSignal = (name, fn) => {
+  SIGNALS[name] = fn;
+};
+
+const round = (value) => (typeof value === 'number' ? Number(value.toFixed(4)) : value);
+
+// Weighted sum of normalized signals. score(rec) -> { total, breakdown } where breakdown lists each
+// signal's raw value, normalized value, weight and contribution, for tuning weights in scoring.json.
+class Scorer {
+  constructor(config = loadScoringConfig()) {
+    this.config = {
+      ...config,
+      saturation: { mentions: 10, upvotes: 500, relevance: 200, subreddit_weight: 1.5, ...(config.saturation || {}) },
+      recency_half_life_years: config.recency_half_life_years || 5,
+    };
+    this.weights = {};
+    Object.entries(config.weights || {}).forEach(([name, weight]) => {
+      if (!SIGNALS[name]) {
+        log.warn(`⚠️ Unknown scoring signal "${name}" ignored`);
+      } else if (Number.isFinite(Number(weight))) {
+        this.weights[name] = Number(weight);
+      }
+    });
+  }
+
+  score(rec, now = Date.now()) {
+    const signals = {};
+    let total = 0;
+    Object.entries(this.weights).forEach(([name, weight]) => {
+      const { value, normalized } = SIGNALS[name](rec, this.config, now);
+      const contribution = weight * normalized;
+      total += contribution;
+      signals[name] = { value: round(value), normalized: round(normalized), weight, contribution: round(contribution) };
+    });
+    return { total: round(total), breakdown: { total: round(total), signals } };
+  }
+}
+
+module.exports = { Scorer, SIGNALS, registerSignal, loadScoringConfig };
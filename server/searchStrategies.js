@@ -0,0 +1,56 @@
+// server/searchStrategies.js
+
+// How hard one Reddit crawl works. `subredditSet` names a set in subreddits.json and
+// `maxGenreSubreddits` null keeps its max_genre_subreddits; `replyTree`
+// overrides the REDDIT_REPLY_* defaults; `aiBatch` sends a thread's comments to the LLM in one
+// prompt instead of one call per comment; the crawl stops at `timeBudgetMs` with what it has.
+const STRATEGIES = {
+  quick: {
+    subredditSet: 'quick',
+    maxGenreSubreddits: null,
+    postsPerSubreddit: 20,
+    maxPosts: 25,
+    replyTree: {},
+    aiBatch: true,
+    timeBudgetMs: 45 * 1000,
+  },
+  comprehensive: {
+    subredditSet: 'comprehensive',
+    maxGenreSubreddits: null,
+    postsPerSubreddit: 25,
+    maxPosts: 50,
+    replyTree: { topLevel: 25, maxDepth: 3, maxComments: 60, loadMore: 2 },
+    aiBatch: true,
+    timeBudgetMs: 2 * 60 * 1000,
+  },
+  exhaustive: {
+    subredditSet: 'comprehensive',
+    maxGenreSubreddits: 6,
+    postsPerSubreddit: 50,
+    maxPosts: 100,
+    replyTree: { topLevel: 40, maxDepth: 4, maxBreadth: 8, maxComments: 100, loadMore: 5 },
+    aiBatch: false,
+    timeBudgetMs: 5 * 60 * 1000,
+  },
+};
+
+const STRATEGY_NAMES = Object.keys(STRATEGIES);
+
+const DEFAULT_STRATEGY = 'quick';
+
+// The `comprehensive` query param: a strategy name, or the legacy true/false
+// (true -> comprehensive, false -> quick). Returns null for anything else.
+const resolveStrategyName = (value) => {
+  if (value === undefined || value === null || value === '') return DEFAULT_STRATEGY;
+  const name = String(value).trim().toLowerCase();
+  if (name === 'true') return 'comprehensive';
+  if (name === 'false') return DEFAULT_STRATEGY;
+  return STRATEGIES[name] ? name : null;
+};
+
+const getStrategy = (name) => {
+  const key = STRATEGIES[name] ? name : DEFAULT_STRATEGY;
+  return { name: key, ...STRATEGIES[key] };
+};
+
+module.exports = { STRATEGIES, STRATEGY_NAMES, DEFAULT_STRATEGY, resolveStrategyName, getStrategy };
@@ -1,36 +1,73 @@
 // server.js
+require('dotenv').config();
 const path = require('path');
+const crypto = require('crypto');
 const ImprovedRedditService = require('./redditServiceV2');
+const { createCache } = require('./cache');
+const { RANKING_MODES, blendRecommendations, combineSeedResults } = require('./ranker');
+const { createRecorder } = require('./recorder');
+const TmdbClient = require('./tmdbClient');
+const { parseExclusions, applyExclusions, isExcluded, noExclusions } = require('./exclusions');
+const { WatchProviders, normalizeRegion, parseProviderIds } = require('./watchProviders');
+const { Collections } = require('./collections');
+const { parseFilters, matchesFilters, applyFilters } = require('./resultFilters');
+const { STRATEGY_NAMES, DEFAULT_STRATEGY, resolveStrategyName } = require('./searchStrategies');
+const { suggest } = require('./suggestions');
+const { JobManager } = require('./jobs');
+const CacheWarmer = require('./cacheWarmer');
+const { registry, metrics, httpMetrics } = require('./metrics');
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
 const rateLimit = require('express-rate-limit');
-require('dotenv').config();
+const { logger, requestContext } = require('./logger');
+
+const log = logger.child({ module: 'server' });
 
-console.log('🔑 TMDB API Key present:', !!process.env.TMDB_API_KEY);
-console.log('🔑 TMDB Access Token present:', !!process.env.TMDB_ACCESS_TOKEN);
+log.info('🔑 TMDB API Key present:', !!process.env.TMDB_API_KEY);
+log.info('🔑 TMDB Access Token present:', !!process.env.TMDB_ACCESS_TOKEN);
 
 const app = express();
 const PORT = process.env.PORT || 5000;
+const recorder = createRecorder();
+
+if (recorder.mode !== 'off') {
+  log.info(`📼 Record/replay mode: ${recorder.mode} (${recorder.dir})`);
+}
+
+const tmdb = new TmdbClient({
+  apiKey: process.env.TMDB_API_KEY,
+  accessToken: process.env.TMDB_ACCESS_TOKEN,
+  recorder
+});
 
 const tmdbRequest = async (endpoint, params = {}) => {
   try {
-    const response = await axios.get(`https://api.themoviedb.org/3${endpoint}`, {
-      params: {
-        api_key: process.env.TMDB_API_KEY,
-        ...params
-      }
-    });
-    return response.data;
+    return await tmdb.get(endpoint, params);
   } catch (error) {
-    console.error(`TMDB request failed for ${endpoint}:`, error.message);
+    log.error(`TMDB request failed for ${endpoint}:`, error.message);
     throw error;
   }
 };
 
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
-  max: 100
+  max: 100,
+  // Typeahead fires per keystroke pause; it has its own, per-minute budget
+  skip: (req) => req.path === '/api/suggest'
+});
+
+const suggestLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60
+});
+
+app.use(requestContext);
+app.use(httpMetrics);
+
+// Registered ahead of the rate limiter so scrapes don't eat into client quotas
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(registry.render());
 });
 
 app.use(limiter);
@@ -58,6 +95,31 @@ const validateQuery = (req, res, next) => {
   next();
 };
 
+const validateSuggest = (req, res, next) => {
+  const { type = 'multi', limit } = req.query;
+  if (!['multi', 'movie', 'tv'].includes(type)) {
+    return res.status(400).json({ error: 'Type must be "multi", "movie" or "tv"', code: 'INVALID_TYPE' });
+  }
+  if (limit !== undefined && !(/^\d+$/.test(limit) && Number(limit) >= 1 && Number(limit) <= 20)) {
+    return res.status(400).json({ error: 'Limit must be between 1 and 20', code: 'INVALID_LIMIT' });
+  }
+  next();
+};
+
+// Admin-only routes take `Authorization: Bearer <ADMIN_TOKEN>`; without ADMIN_TOKEN set they are disabled
+const requireAdminToken = (req, res, next) => {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return res.status(403).json({ error: 'Admin endpoints are disabled (ADMIN_TOKEN not set)', code: 'ADMIN_DISABLED' });
+  }
+  const provided = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  if (!provided || !crypto.timingSafeEqual(digest(provided), digest(expected))) {
+    return res.status(401).json({ error: 'Invalid or missing admin token', code: 'UNAUTHORIZED' });
+  }
+  next();
+};
+
 const validateParams = (req, res, next) => {
   const { type, id } = req.params;
   if (!['movie', 'tv'].includes(type)) {
@@ -69,13 +131,89 @@ const validateParams = (req, res, next) => {
   next();
 };
 
+const validateMode = (req, res, next) => {
+  const { mode = 'hybrid' } = req.query;
+  if (!RANKING_MODES.includes(mode)) {
+    return res.status(400).json({ error: `Mode must be one of: ${RANKING_MODES.join(', ')}`, code: 'INVALID_MODE' });
+  }
+  next();
+};
+
+// `comprehensive` picks the crawl strategy: quick, comprehensive or exhaustive (true/false still work)
+const validateStrategy = (req, res, next) => {
+  const value = req.query.comprehensive ?? (req.body || {}).comprehensive;
+  if (!resolveStrategyName(value)) {
+    return res.status(400).json({ error: `comprehensive must be true, false or one of: ${STRATEGY_NAMES.join(', ')}`, code: 'INVALID_STRATEGY' });
+  }
+  next();
+};
+
+const validateFilters = (req, res, next) => {
+  const { errors } = parseFilters({ ...req.query, ...(req.body || {}) });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join('; '), code: 'INVALID_FILTER' });
+  }
+  next();
+};
+
+const validateJob = (req, res, next) => {
+  const { type, id, mode = 'hybrid' } = req.body || {};
+  if (!['movie', 'tv'].includes(type)) {
+    return res.status(400).json({ error: 'Type must be "movie" or "tv"', code: 'INVALID_TYPE' });
+  }
+  if (!/^\d+$/.test(String(id))) {
+    return res.status(400).json({ error: 'ID must be numeric', code: 'INVALID_ID' });
+  }
+  if (!RANKING_MODES.includes(mode)) {
+    return res.status(400).json({ error: `Mode must be one of: ${RANKING_MODES.join(', ')}`, code: 'INVALID_MODE' });
+  }
+  next();
+};
+
+const MAX_BLEND_SEEDS = 5;
+
+const validateSeeds = (req, res, next) => {
+  const { seeds, mode = 'hybrid' } = req.body || {};
+  if (!Array.isArray(seeds) || seeds.length < 1 || seeds.length > MAX_BLEND_SEEDS) {
+    return res.status(400).json({ error: `seeds must be an array of 1-${MAX_BLEND_SEEDS} items`, code: 'INVALID_SEEDS' });
+  }
+  const invalid = seeds.find(seed => !seed || !['movie', 'tv'].includes(seed.type) || !/^\d+$/.test(String(seed.id)));
+  if (invalid) {
+    return res.status(400).json({ error: 'Each seed needs a type of "movie" or "tv" and a numeric id', code: 'INVALID_SEEDS' });
+  }
+  if (!RANKING_MODES.includes(mode)) {
+    return res.status(400).json({ error: `Mode must be one of: ${RANKING_MODES.join(', ')}`, code: 'INVALID_MODE' });
+  }
+  next();
+};
+
+const cache = createCache();
+const watchProviders = new WatchProviders(tmdb, cache);
+const collections = new Collections(tmdb, cache);
+const jobs = new JobManager({ ttl: (parseInt(process.env.JOB_TTL, 10) || 900) * 1000 });
+
+const cacheNamespaces = (field) => Object.entries(cache.getStats().namespaces)
+  .map(([namespace, stats]) => ({ labels: { namespace }, value: stats[field] }));
+registry.collectedCounter('gotnext_cache_hits_total', 'Cache hits since start', () => cacheNamespaces('hits'));
+registry.collectedCounter('gotnext_cache_misses_total', 'Cache misses since start', () => cacheNamespaces('misses'));
+registry.gauge('gotnext_cache_hit_ratio', 'Cache hit ratio since start', () => cacheNamespaces('hit_ratio'));
+registry.gauge('gotnext_cache_entries', 'Entries currently in the cache', () => [{ value: cache.getStats().entries }]);
+registry.gauge('gotnext_jobs', 'Recommendation jobs by status', () => Object.entries(jobs.getStats())
+  .filter(([status]) => status !== 'total')
+  .map(([status, value]) => ({ labels: { status }, value })));
+
+const getRuntime = (type, id) => cache.wrap('tmdb', `runtime_${type}_${id}`, async () => {
+  const details = await tmdb.get(`/${type}/${id}`);
+  return details.runtime || details.episode_run_time?.[0] || null;
+});
+
 let redditService = null;
-if (TMDB_API_KEY && TMDB_ACCESS_TOKEN) {
-  redditService = new ImprovedRedditService(TMDB_API_KEY, TMDB_ACCESS_TOKEN);
+if ((TMDB_API_KEY && TMDB_ACCESS_TOKEN) || recorder.isReplaying()) {
+  redditService = new ImprovedRedditService(TMDB_API_KEY, TMDB_ACCESS_TOKEN, { cache, recorder, tmdb });
   if (redditService.isAvailable()) {
-    console.log('✅ Reddit recommendations service initialized and authenticated');
+    log.info('✅ Reddit recommendations service initialized and authenticated');
   } else {
-    console.log('⚠️  Reddit API credentials not configured - Reddit features disabled');
+    log.warn('⚠️  Reddit API credentials not configured - Reddit features disabled');
     redditService = null;
   }
 }
@@ -85,107 +223,499 @@ app.get('/api/health', (req, res) => {
     status: 'OK',
     timestamp: new Date().toISOString(),
     tmdb_configured: !!(TMDB_API_KEY && TMDB_ACCESS_TOKEN),
-    reddit_configured: redditService ? redditService.isAvailable() : false
+    reddit_configured: redditService ? redditService.isAvailable() : false,
+    reddit_auth: redditService ? redditService.authMode : null,
+    jobs: jobs.getStats()
   });
 });
 
-app.get('/api/ai-recommendations/:type/:id', validateParams, async (req, res) => {
+app.get('/api/cache/stats', (req, res) => {
+  res.json(cache.getStats());
+});
+
+app.get('/api/tmdb/stats', (req, res) => {
+  res.json(tmdb.getStats());
+});
+
+const toRedditRecommendation = (rec) => ({
+  ...rec,
+  source_type: 'reddit',
+  reddit_data: {
+    mentions: rec.mentions,
+    avgConfidence: rec.avgConfidence,
+    subreddits: rec.subreddits,
+    contexts: rec.contexts,
+    finalScore: rec.finalScore,
+    redditUrls: rec.redditUrls
+  },
+  score_breakdown: rec.score_breakdown || null
+});
+
+const recommendationsKey = ({ type, id, mode = 'hybrid', searchTitle, comprehensive }) =>
+  `${type}_${id}_${mode}_${resolveStrategyName(comprehensive) || DEFAULT_STRATEGY}_${(searchTitle || '').trim().toLowerCase()}`;
+
+// Runs (or serves from cache) the full, unfiltered pipeline for one seed
+const gatherAIRecommendations = async ({ type, id, comprehensive = 'false', searchTitle, refresh = 'false', mode = 'hybrid' }, onProgress) => {
+  const cacheKey = recommendationsKey({ type, id, mode, searchTitle, comprehensive });
+  const strategy = resolveStrategyName(comprehensive) || DEFAULT_STRATEGY;
+  if (String(refresh) !== 'true') {
+    const cached = cache.get('recommendations', cacheKey);
+    if (cached) {
+      log.info(`📦 Serving cached recommendations for ${type}/${id}`);
+      return { ...cached, metadata: { ...cached.metadata, from_cache: true } };
+    }
+  }
+
+  let title = '', overview = '', releaseYear = '';
+  const details = await tmdbRequest(`/${type}/${id}`);
+  title = details.title || details.name;
+  overview = details.overview;
+  releaseYear = details.release_date && typeof details.release_date === 'string'
+    ? details.release_date.split('-')[0]
+    : details.first_air_date && typeof details.first_air_date === 'string'
+      ? details.first_air_date.split('-')[0]
+      : '';
+
+  onProgress('seed', { title, release_year: releaseYear, type });
+
+  let redditRecommendations = [];
+  let searchStats = { processingTime: 0, totalFound: 0, uniqueMovies: 0, sourcesUsed: [] };
+  let strategyReport = { name: strategy, ran: false };
+
+  if (mode !== 'tmdb' && redditService && redditService.isAvailable()) {
+    try {
+      const startTime = Date.now();
+
+      const searchQueryClean = (searchTitle || title).replace(/\s*\(\d{4}\)\s*$/, '').trim();
+
+      log.info(`🔍 Reddit search for ${type}: "${searchQueryClean}"`);
+
+      redditRecommendations = await redditService.getRecommendations(searchQueryClean, 32, type, {
+        strategy,
+        onProgress: (event, data) => {
+          if (event === 'search_finished') {
+            const { strategy: name, ...summary } = data;
+            strategyReport = { name, ran: true, ...summary };
+          }
+          if (event === 'recommendation') {
+            onProgress(event, { ...data, recommendation: toRedditRecommendation(data.recommendation) });
+          } else {
+            onProgress(event, data);
+          }
+        }
+      });
+
+      searchStats.processingTime = Date.now() - startTime;
+      searchStats.totalFound = redditRecommendations.length;
+      searchStats.uniqueMovies = redditRecommendations.length;
+      searchStats.sourcesUsed = [...new Set(redditRecommendations.flatMap(r => r.subreddits || []))];
+
+      log.info(`✅ Reddit search completed in ${searchStats.processingTime}ms`);
+      log.info(`📊 Found ${searchStats.uniqueMovies} unique movies from ${searchStats.sourcesUsed.length} subreddits`);
+    } catch (redditError) {
+      log.error('Error getting Reddit recommendations:', redditError.message);
+    }
+  }
+
+  let tmdbRecommendations = [];
+
+  // "reddit" mode keeps TMDB as a fallback only; "tmdb" and "hybrid" always fetch it
+  if (mode !== 'reddit' || redditRecommendations.length === 0) {
+    if (mode === 'reddit') {
+      log.warn('⚠️ No Reddit recommendations, falling back to TMDB');
+      onProgress('fallback', { source: 'tmdb' });
+    }
+    try {
+      const tmdbData = await tmdbRequest(`/${type}/${id}/recommendations`);
+      tmdbRecommendations = tmdbData.results.filter(item => item.poster_path);
+      if (tmdbRecommendations.length === 0) {
+        const similarData = await tmdbRequest(`/${type}/${id}/similar`);
+        tmdbRecommendations = similarData.results.filter(item => item.poster_path);
+      }
+    } catch (tmdbError) {
+      log.error('Error fetching TMDB recommendations:', tmdbError.message);
+    }
+  }
+
+  const allRecommendations = blendRecommendations(
+    mode === 'tmdb' ? [] : redditRecommendations,
+    mode === 'reddit' && redditRecommendations.length > 0 ? [] : tmdbRecommendations
+  ).map(rec => (rec.sources.includes('reddit')
+    ? toRedditRecommendation(rec)
+    : { ...rec, source_type: 'tmdb', reddit_data: null, score_breakdown: null }));
+
+  log.info(`✅ Ranked ${allRecommendations.length} recommendations (mode: ${mode})`);
+
+  const responseBody = {
+    title,
+    overview,
+    release_year: releaseYear,
+    type,
+    recommendations: allRecommendations,
+    search_stats: searchStats,
+    metadata: {
+      total_recommendations: allRecommendations.length,
+      reddit_recommendations: redditRecommendations.length,
+      tmdb_recommendations: tmdbRecommendations.length,
+      has_reddit_data: redditRecommendations.length > 0,
+      both_sources: allRecommendations.filter(rec => rec.sources.length > 1).length,
+      mode,
+      comprehensive_search: strategy !== 'quick',
+      strategy: strategyReport,
+      reddit_available: redditService ? redditService.isAvailable() : false,
+      search_query_used: searchTitle || title,
+      from_cache: false
+    }
+  };
+
+  if (allRecommendations.length > 0) {
+    cache.set('recommendations', cacheKey, responseBody);
+  }
+
+  return responseBody;
+};
+
+// Results per response
+const PAGE_SIZE = 50;
+
+// One card per franchise (group_collections=false turns it off); exclude_collection=true also
+// drops the seeds' own collections, i.e. their sequels and prequels
+const wantsCollectionGrouping = (params) =>
+  String(params.group_collections) !== 'false' || String(params.exclude_collection) === 'true';
+
+const groupByCollection = async (recommendations, params, seeds) => {
+  const seedCollections = [];
+  if (String(params.exclude_collection) === 'true') {
+    for (const seed of seeds) {
+      try {
+        const collection = await collections.getCollection(seed.type, seed.id);
+        if (collection && !seedCollections.some(other => other.id === collection.id)) seedCollections.push(collection);
+      } catch (error) {
+        log.warn(`⚠️ Could not look up the collection of ${seed.type}/${seed.id}:`, error.message);
+      }
+    }
+  }
+  const grouped = await collections.group(recommendations, {
+    fallbackType: seeds.length === 1 ? seeds[0].type : undefined,
+    excludeCollectionIds: seedCollections.map(collection => collection.id),
+    pageSize: PAGE_SIZE
+  });
+  return {
+    items: grouped.items,
+    report: {
+      collapsed: grouped.collapsed,
+      excluded: grouped.excluded,
+      // Titles past the first page, returned as-is without a collection lookup
+      ungrouped_tail: grouped.ungroupedTail,
+      excluded_seed_collections: seedCollections.length > 0 ? seedCollections : null
+    }
+  };
+};
+
+// Most streaming-availability lookups one refine makes; titles past it come back unchecked
+const PROVIDER_CHECK_LIMIT = 80;
+
+// Per-request exclusions, filters, provider checks and collection grouping on top of a gathered result;
+// never triggers a new crawl
+const refineRecommendations = async (result, params, onProgress = () => {}) => {
+  const { exclusions = noExclusions(), filters = {} } = params;
+  const afterExclusions = applyExclusions(result.recommendations, exclusions, params.type);
+
+  const filterCount = Object.keys(filters).length;
+  if (filterCount > 0) onProgress('filtering', { filter: 'attributes', filters });
+  let recommendations = await applyFilters(afterExclusions, filters, { getRuntime, fallbackType: params.type });
+  const afterFilters = recommendations.length;
+
+  // providers=8,337&region=US keeps only titles streamable on those services
+  const providerIds = parseProviderIds(params.providers);
+  if (providerIds.length > 0) {
+    onProgress('filtering', { filter: 'providers' });
+    recommendations = await watchProviders.filterByServices(recommendations, {
+      region: normalizeRegion(params.region),
+      providerIds,
+      fallbackType: params.type,
+      maxChecks: PROVIDER_CHECK_LIMIT,
+      stopAfter: PAGE_SIZE
+    });
+  }
+  const afterProviders = recommendations.length;
+  const uncheckedProviders = recommendations.filter(rec => rec.availability_unchecked).length;
+
+  let collectionGrouping = null;
+  if (wantsCollectionGrouping(params)) {
+    onProgress('filtering', { filter: 'collections' });
+    const grouped = await groupByCollection(recommendations, params, [{ type: params.type, id: params.id }]);
+    recommendations = grouped.items;
+    collectionGrouping = grouped.report;
+  }
+
+  return {
+    ...result,
+    recommendations: recommendations.slice(0, PAGE_SIZE),
+    metadata: {
+      ...result.metadata,
+      total_recommendations: recommendations.length,
+      excluded: result.recommendations.length - afterExclusions.length,
+      filtered_out: afterExclusions.length - afterFilters,
+      filters: filterCount > 0 ? filters : null,
+      unavailable_on_services: afterFilters - afterProviders,
+      provider_filter: providerIds.length > 0
+        ? { region: normalizeRegion(params.region), providers: providerIds, unchecked: uncheckedProviders }
+        : null,
+      collections: collectionGrouping
+    }
+  };
+};
+
+// Every crawl runs as a job, so concurrent requests for the same seed share one pipeline run
+const submitRecommendationsJob = (params) => {
+  const { type, id, searchTitle, mode = 'hybrid' } = params;
+  return jobs.submit(
+    recommendationsKey(params),
+    { type, id: Number(id), searchTitle: searchTitle || null, mode, strategy: resolveStrategyName(params.comprehensive) || DEFAULT_STRATEGY },
+    (onProgress) => gatherAIRecommendations(params, onProgress)
+  );
+};
+
+// Shared by the JSON, SSE and blend routes; onProgress receives (event, data) pipeline events
+const buildAIRecommendations = async (params, onProgress = () => {}) => {
+  const { job, attached } = submitRecommendationsJob(params);
+  if (attached) log.info(`🧵 Joined running job ${job.id} for ${params.type}/${params.id}`);
+  const result = await jobs.wait(job, onProgress);
+  const refined = await refineRecommendations(result, params, onProgress);
+  metrics.recommendationsReturned.observe({ mode: params.mode || 'hybrid' }, refined.recommendations.length);
+  return refined;
+};
+
+app.get('/api/ai-recommendations/:type/:id', validateParams, validateMode, validateStrategy, validateFilters, async (req, res) => {
   try {
     const { type, id } = req.params;
-    const { comprehensive = 'false', searchTitle } = req.query; // ADD searchTitle parameter
-
-    let title = '', overview = '', releaseYear = '';
-    const details = await tmdbRequest(`/${type}/${id}`);
-    title = details.title || details.name;
-    overview = details.overview;
-    releaseYear = details.release_date && typeof details.release_date === 'string'
-      ? details.release_date.split('-')[0]
-      : details.first_air_date && typeof details.first_air_date === 'string'
-        ? details.first_air_date.split('-')[0]
-        : '';
-
-    let redditRecommendations = [];
-    let searchStats = { processingTime: 0, totalFound: 0, uniqueMovies: 0, sourcesUsed: [] };
-
-    if (redditService && redditService.isAvailable()) {
-      try {
-        const startTime = Date.now();
-        
-        const searchQueryClean = (searchTitle || title).replace(/\s*\(\d{4}\)\s*$/, '').trim();
+    res.json(await buildAIRecommendations({
+      ...req.query,
+      type,
+      id,
+      exclusions: parseExclusions(req),
+      filters: parseFilters(req.query).filters
+    }));
+  } catch (error) {
+    log.error('AI recommendations error:', error.message);
+    res.status(500).json({ error: 'Failed to fetch recommendations', code: 'INTERNAL_ERROR' });
+  }
+});
 
-        console.log(`🔍 Reddit search for ${type}: "${searchQueryClean}"`);
+const jobResponse = (job, attached) => ({
+  job_id: job.id,
+  status: job.status,
+  attached,
+  status_url: `/api/jobs/${job.id}`
+});
 
-        redditRecommendations = await redditService.getQuickRecommendations(searchQueryClean, 32, type);
+// Starts (or joins) a background crawl: { type, id, searchTitle?, mode?, refresh?, comprehensive? }
+app.post('/api/jobs', validateJob, validateStrategy, (req, res) => {
+  const { type, id, searchTitle, mode = 'hybrid', refresh, comprehensive } = req.body;
+  const { job, attached } = submitRecommendationsJob({ type, id: String(id), searchTitle, mode, refresh, comprehensive });
 
-        searchStats.processingTime = Date.now() - startTime;
-        searchStats.totalFound = redditRecommendations.length;
-        searchStats.uniqueMovies = redditRecommendations.length;
-        searchStats.sourcesUsed = [...new Set(redditRecommendations.flatMap(r => r.subreddits || []))];
+  log.info(`🧵 Job ${job.id} ${attached ? 'joined' : 'queued'} for ${type}/${id}`);
+  res.status(202).json(jobResponse(job, attached));
+});
 
-        console.log(`✅ Reddit search completed in ${searchStats.processingTime}ms`);
-        console.log(`📊 Found ${searchStats.uniqueMovies} unique movies from ${searchStats.sourcesUsed.length} subreddits`);
-      } catch (redditError) {
-        console.error('Error getting Reddit recommendations:', redditError.message);
-      }
+const yearOf = (item) => (item.release_date || item.first_air_date || '').split('-')[0];
+
+// Same cache key the frontend produces: it searches with "Title (Year)" and DEFAULT_STRATEGY
+const warmer = new CacheWarmer({
+  fetchTrending: async () => {
+    const data = await tmdbRequest('/trending/all/week');
+    return data.results
+      .filter(item => ['movie', 'tv'].includes(item.media_type) && item.poster_path)
+      .map(item => {
+        const title = item.title || item.name;
+        const year = yearOf(item);
+        return {
+          type: item.media_type,
+          id: String(item.id),
+          title,
+          searchTitle: year ? `${title} (${year})` : title,
+          comprehensive: DEFAULT_STRATEGY,
+        };
+      });
+  },
+  isWarm: (item) => cache.peek('recommendations', recommendationsKey(item)) !== undefined,
+  warm: async (item, onProgress) => {
+    const { job } = submitRecommendationsJob(item);
+    return jobs.wait(job, onProgress);
+  },
+  interval: (parseInt(process.env.CACHE_WARM_INTERVAL_MINUTES, 10) || 360) * 60 * 1000,
+  topN: parseInt(process.env.CACHE_WARM_TOP_N, 10) || 10,
+  budget: {
+    reddit_searches: parseInt(process.env.CACHE_WARM_REDDIT_SEARCHES, 10) || 60,
+    posts_parsed: parseInt(process.env.CACHE_WARM_POSTS, 10) || 100
+  }
+});
+
+if (process.env.CACHE_WARM === 'true' && redditService) {
+  warmer.start();
+}
+
+app.get('/api/cache/warm', (req, res) => {
+  res.json(warmer.getStatus());
+});
+
+// Kick off a warming cycle now instead of waiting for the schedule; spends Reddit, TMDB and LLM quota
+app.post('/api/cache/warm', requireAdminToken, (req, res) => {
+  if (!redditService) {
+    return res.status(503).json({ error: 'Reddit service not available', code: 'SERVICE_UNAVAILABLE' });
+  }
+  if (!warmer.running) warmer.runOnce();
+  res.status(202).json(warmer.getStatus());
+});
+
+// Poll a job; accepts the same exclude/filter/provider query params as /api/ai-recommendations
+app.get('/api/jobs/:id', validateFilters, async (req, res) => {
+  try {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found or expired', code: 'JOB_NOT_FOUND' });
     }
 
-    let allRecommendations = [];
-    let tmdbRecommendations = [];
-
-    if (redditRecommendations.length > 0) {
-      console.log('✅ Using Reddit recommendations only');
-      allRecommendations = redditRecommendations.map(rec => ({
-        ...rec,
-        source_type: 'reddit',
-        reddit_data: {
-          mentions: rec.mentions,
-          avgConfidence: rec.avgConfidence,
-          subreddits: rec.subreddits,
-          contexts: rec.contexts,
-          finalScore: rec.finalScore,
-          redditUrls: rec.redditUrls
-        }
-      }));
+    const exclusions = parseExclusions(req);
+    const { filters } = parseFilters(req.query);
+    const body = {
+      job_id: job.id,
+      status: job.status,
+      seed: job.seed,
+      created_at: job.created_at,
+      started_at: job.started_at,
+      finished_at: job.finished_at,
+      progress: job.progress,
+      error: job.error
+    };
+
+    if (job.status === 'completed') {
+      body.result = await refineRecommendations(job.result, { ...req.query, type: job.seed.type, id: job.seed.id, exclusions, filters });
+      body.recommendations = body.result.recommendations;
     } else {
-      console.log('⚠️ No Reddit recommendations, falling back to TMDB');
+      // Partial results are still being ranked, so only the cheap per-item checks apply
+      body.recommendations = applyExclusions(Array.from(job.partial.values()), exclusions, job.seed.type)
+        .filter(rec => matchesFilters(rec, filters))
+        .sort((a, b) => (b.finalScore || 0) - (a.finalScore || 0));
+    }
+
+    res.json(body);
+  } catch (error) {
+    log.error('Job status error:', error.message);
+    res.status(500).json({ error: 'Failed to read job', code: 'INTERNAL_ERROR' });
+  }
+});
+
+// Multi-seed blend: { seeds: [{ type, id, searchTitle? }], mode?, comprehensive?, ...filters }
+app.post('/api/ai-recommendations/blend', validateSeeds, validateStrategy, validateFilters, async (req, res) => {
+  try {
+    const { seeds, mode = 'hybrid', refresh, comprehensive, providers, region, group_collections, exclude_collection } = req.body;
+    const exclusions = parseExclusions(req);
+    const { filters } = parseFilters(req.body);
+    const startTime = Date.now();
+    const uniqueSeeds = seeds.filter((seed, index) =>
+      seeds.findIndex(other => other.type === seed.type && String(other.id) === String(seed.id)) === index);
+
+    // Sequential on purpose: each seed may crawl Reddit, which is rate limited
+    const seedResults = [];
+    for (const seed of uniqueSeeds) {
       try {
-        const tmdbData = await tmdbRequest(`/${type}/${id}/recommendations`);
-        tmdbRecommendations = tmdbData.results.filter(item => item.poster_path);
-        if (tmdbRecommendations.length === 0) {
-          const similarData = await tmdbRequest(`/${type}/${id}/similar`);
-          tmdbRecommendations = similarData.results.filter(item => item.poster_path);
-        }
-        
-        allRecommendations = tmdbRecommendations.map(rec => ({
-          ...rec,
-          source_type: 'tmdb',
-          reddit_data: null
-        }));
-      } catch (tmdbError) {
-        console.error('Error fetching TMDB recommendations:', tmdbError.message);
+        const result = await buildAIRecommendations({
+          type: seed.type,
+          id: String(seed.id),
+          searchTitle: seed.searchTitle,
+          mode,
+          refresh,
+          comprehensive,
+          exclusions,
+          filters,
+          providers,
+          region,
+          // Grouped once below, on the combined list
+          group_collections: 'false'
+        });
+        seedResults.push({
+          seed: { type: seed.type, id: Number(seed.id), title: result.title },
+          recommendations: result.recommendations
+        });
+      } catch (seedError) {
+        log.error(`Blend seed ${seed.type}/${seed.id} failed:`, seedError.message);
       }
     }
 
+    if (seedResults.length === 0) {
+      return res.status(500).json({ error: 'Failed to fetch recommendations for any seed', code: 'INTERNAL_ERROR' });
+    }
+
+    let recommendations = combineSeedResults(seedResults);
+    let collectionGrouping = null;
+    if (wantsCollectionGrouping({ group_collections, exclude_collection })) {
+      const grouped = await groupByCollection(recommendations, { exclude_collection }, seedResults.map(({ seed }) => seed));
+      recommendations = grouped.items;
+      collectionGrouping = grouped.report;
+    }
+    log.info(`🧬 Blended ${recommendations.length} recommendations from ${seedResults.length} seeds`);
+
     res.json({
-      title,
-      overview,
-      release_year: releaseYear,
-      type,
-      recommendations: allRecommendations.slice(0, 50),
-      search_stats: searchStats,
+      seeds: seedResults.map(({ seed }) => seed),
+      recommendations: recommendations.slice(0, PAGE_SIZE),
+      search_stats: { processingTime: Date.now() - startTime },
       metadata: {
-        total_recommendations: allRecommendations.length,
-        reddit_recommendations: redditRecommendations.length,
-        tmdb_recommendations: tmdbRecommendations.length,
-        has_reddit_data: redditRecommendations.length > 0,
-        comprehensive_search: comprehensive === 'true',
-        reddit_available: redditService ? redditService.isAvailable() : false,
-        search_query_used: searchTitle || title 
+        total_recommendations: recommendations.length,
+        shared_recommendations: recommendations.filter(rec => rec.seed_count > 1).length,
+        failed_seeds: uniqueSeeds.length - seedResults.length,
+        mode,
+        collections: collectionGrouping
       }
     });
   } catch (error) {
-    console.error('AI recommendations error:', error.message);
-    res.status(500).json({ error: 'Failed to fetch recommendations', code: 'INTERNAL_ERROR' });
+    log.error('Blend recommendations error:', error.message);
+    res.status(500).json({ error: 'Failed to blend recommendations', code: 'INTERNAL_ERROR' });
+  }
+});
+
+// Server-Sent Events variant: streams pipeline progress, then a final "complete" event with the full response
+app.get('/api/ai-recommendations/:type/:id/stream', validateParams, validateMode, validateStrategy, validateFilters, async (req, res) => {
+  const { type, id } = req.params;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  req.on('close', () => { closed = true; });
+
+  const sendEvent = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': ping\n\n');
+  }, 15000);
+
+  try {
+    const exclusions = parseExclusions(req);
+    const { filters } = parseFilters(req.query);
+    // Runtime can't be checked per event; the "complete" payload is fully filtered
+    const onProgress = (event, data) => {
+      if (event === 'recommendation' && (isExcluded(data.recommendation, exclusions, type)
+        || !matchesFilters(data.recommendation, filters))) return;
+      sendEvent(event, data);
+    };
+    const result = await buildAIRecommendations({ ...req.query, type, id, exclusions, filters }, onProgress);
+    sendEvent('complete', result);
+  } catch (error) {
+    log.error('AI recommendations stream error:', error.message);
+    sendEvent('error', { error: 'Failed to fetch recommendations', code: 'INTERNAL_ERROR' });
+  } finally {
+    clearInterval(heartbeat);
+    if (!closed) res.end();
   }
 });
 
@@ -196,11 +726,13 @@ app.get('/api/test-reddit/:movieTitle', async (req, res) => {
     if (!redditService || !redditService.isAvailable()) {
       return res.status(503).json({ error: 'Reddit service not available', code: 'SERVICE_UNAVAILABLE' });
     }
-    console.log(`🧪 Testing Reddit extraction for: ${movieTitle}`);
-    const recommendations = await redditService.getQuickRecommendations(movieTitle, 20);
+    log.info(`🧪 Testing Reddit extraction for: ${movieTitle}`);
+    const strategy = resolveStrategyName(req.query.comprehensive) || DEFAULT_STRATEGY;
+    const recommendations = await redditService.getRecommendations(movieTitle, 20, 'movie', { strategy });
     
     res.json({
       movie_title: movieTitle,
+      strategy,
       found_recommendations: recommendations.length,
       recommendations: recommendations.map(rec => {
         // Safer year extraction
@@ -214,7 +746,7 @@ app.get('/api/test-reddit/:movieTitle', async (req, res) => {
             }
           }
         } catch (e) {
-          console.error('Error extracting year:', e);
+          log.error('Error extracting year:', e);
         }
         
         return {
@@ -225,13 +757,18 @@ app.get('/api/test-reddit/:movieTitle', async (req, res) => {
           confidence: rec.avgConfidence ? Math.round(rec.avgConfidence * 100) + '%' : '0%',
           subreddits: rec.subreddits || [],
           reddit_urls: rec.redditUrls || [],
-          final_score: rec.finalScore ? rec.finalScore.toFixed(2) : null
+          final_score: rec.finalScore ? rec.finalScore.toFixed(2) : null,
+          stances: (rec.contexts || []).map(context => ({
+            stance: context.stance || null,
+            reason: context.reason || null,
+            context_check: context.context_check || null,
+          }))
         };
       })
     });
   } catch (error) {
-    console.error('Test Reddit extraction error:', error.message);
-    console.error('Stack:', error.stack); // Add stack trace
+    log.error('Test Reddit extraction error:', error.message);
+    log.debug('Stack:', error.stack);
     res.status(500).json({ error: 'Failed to test Reddit extraction: ' + error.message, code: 'INTERNAL_ERROR' });
   }
 });
@@ -240,18 +777,18 @@ app.get('/api/test-reddit/:movieTitle', async (req, res) => {
 app.get('/api/search', validateQuery, async (req, res) => {
   try {
     const { query, type = 'multi', page = 1 } = req.query;
-    console.log(`🔍 Search request: query="${query}", type="${type}"`);
+    log.info(`🔍 Search request: query="${query}", type="${type}"`);
     
     const data = await tmdbRequest(`/search/${type}`, { 
       query: query.trim(), 
       page: Math.min(page, 1000) 
     });
     
-    console.log(`✅ Search results: ${data.results?.length || 0} items found`);
+    log.info(`✅ Search results: ${data.results?.length || 0} items found`);
     res.json({ ...data, results: data.results.filter(item => item.poster_path) });
   } catch (error) {
-    console.error('❌ Search error:', error.message);
-    console.error('Stack:', error.stack);
+    log.error('❌ Search error:', error.message);
+    log.debug('Stack:', error.stack);
     res.status(500).json({ 
       error: 'Search failed: ' + error.message, 
       code: 'INTERNAL_ERROR' 
@@ -259,15 +796,31 @@ app.get('/api/search', validateQuery, async (req, res) => {
   }
 });
 
+// Typeahead and seed disambiguation: compact matches plus whether the query names more than one title
+app.get('/api/suggest', suggestLimiter, validateQuery, validateSuggest, async (req, res) => {
+  try {
+    const { query, type = 'multi', limit = 8 } = req.query;
+    const data = await suggest(tmdb, query, { type, limit: Number(limit) });
+    if (data.ambiguous) {
+      log.info(`🔀 Ambiguous seed "${data.query}"${data.year ? ` (${data.year})` : ''}: ${data.matches.length} candidates`);
+    }
+    res.json(data);
+  } catch (error) {
+    log.error('❌ Suggest error:', error.message);
+    res.status(500).json({ error: 'Suggest failed: ' + error.message, code: 'INTERNAL_ERROR' });
+  }
+});
+
 // TMDB recommendations
 app.get('/api/recommendations/:type/:id', validateParams, async (req, res) => {
   try {
     const { type, id } = req.params;
     const { page = 1 } = req.query;
     const data = await tmdbRequest(`/${type}/${id}/recommendations`, { page: Math.min(page, 1000) });
-    res.json({ ...data, results: data.results.filter(item => item.poster_path) });
+    const results = applyExclusions(data.results.filter(item => item.poster_path), parseExclusions(req), type);
+    res.json({ ...data, results });
   } catch (error) {
-    console.error('Recommendations error:', error.message);
+    log.error('Recommendations error:', error.message);
     res.status(500).json({ error: 'Recommendations failed', code: 'INTERNAL_ERROR' });
   }
 });
@@ -280,12 +833,13 @@ app.get('/api/popular', async (req, res) => {
       tmdbRequest('/movie/popular', { page: Math.min(page, 1000) }),
       tmdbRequest('/tv/popular', { page: Math.min(page, 1000) })
     ]);
+    const exclusions = parseExclusions(req);
     res.json({
-      movies: moviesResponse.results.filter(item => item.poster_path).slice(0, 10),
-      tv: tvResponse.results.filter(item => item.poster_path).slice(0, 10)
+      movies: applyExclusions(moviesResponse.results.filter(item => item.poster_path), exclusions, 'movie').slice(0, 10),
+      tv: applyExclusions(tvResponse.results.filter(item => item.poster_path), exclusions, 'tv').slice(0, 10)
     });
   } catch (error) {
-    console.error('Popular items error:', error.message);
+    log.error('Popular items error:', error.message);
     res.status(500).json({ error: 'Popular fetch failed', code: 'INTERNAL_ERROR' });
   }
 });
@@ -297,11 +851,52 @@ app.get('/api/details/:type/:id', validateParams, async (req, res) => {
     const data = await tmdbRequest(`/${type}/${id}`, { append_to_response: 'credits,videos,similar' });
     res.json(data);
   } catch (error) {
-    console.error('Details error:', error.message);
+    log.error('Details error:', error.message);
     res.status(500).json({ error: 'Details fetch failed', code: 'INTERNAL_ERROR' });
   }
 });
 
+// Genre list for the filter bar
+app.get('/api/genres/:type', async (req, res) => {
+  try {
+    const { type } = req.params;
+    if (!['movie', 'tv'].includes(type)) {
+      return res.status(400).json({ error: 'Type must be "movie" or "tv"', code: 'INVALID_TYPE' });
+    }
+    const genres = await cache.wrap('genres', `list_${type}`, async () => (await tmdbRequest(`/genre/${type}/list`)).genres);
+    res.json({ type, genres: genres || [] });
+  } catch (error) {
+    log.error('Genres error:', error.message);
+    res.status(500).json({ error: 'Genres fetch failed', code: 'INTERNAL_ERROR' });
+  }
+});
+
+// Watch providers for one title: ?region=US
+app.get('/api/providers/:type/:id', validateParams, async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    res.json(await watchProviders.getProviders(type, id, req.query.region));
+  } catch (error) {
+    log.error('Watch providers error:', error.message);
+    res.status(500).json({ error: 'Watch providers fetch failed', code: 'INTERNAL_ERROR' });
+  }
+});
+
+// All providers available in a region: ?type=movie&region=US
+app.get('/api/watch-providers', async (req, res) => {
+  try {
+    const { type = 'movie', region } = req.query;
+    if (!['movie', 'tv'].includes(type)) {
+      return res.status(400).json({ error: 'Type must be "movie" or "tv"', code: 'INVALID_TYPE' });
+    }
+    const providers = await watchProviders.listProviders(type, region);
+    res.json({ region: normalizeRegion(region), type, providers });
+  } catch (error) {
+    log.error('Watch provider list error:', error.message);
+    res.status(500).json({ error: 'Watch provider list fetch failed', code: 'INTERNAL_ERROR' });
+  }
+});
+
 // Trending
 app.get('/api/trending/:timeWindow?', async (req, res) => {
   try {
@@ -312,7 +907,7 @@ app.get('/api/trending/:timeWindow?', async (req, res) => {
     const data = await tmdbRequest(`/trending/all/${timeWindow}`);
     res.json({ ...data, results: data.results.filter(item => item.poster_path) });
   } catch (error) {
-    console.error('Trending error:', error.message);
+    log.error('Trending error:', error.message);
     res.status(500).json({ error: 'Trending fetch failed', code: 'INTERNAL_ERROR' });
   }
 });
@@ -324,7 +919,7 @@ app.get('*', (req, res) => {
 
 // Error handler
 app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
+  log.error(`Unhandled error on ${req.method} ${req.originalUrl}:`, err);
   res.status(500).json({ error: 'Internal server error', code: 'INTERNAL_ERROR' });
 });
 
@@ -360,9 +955,13 @@ app.get('/api/test-reddit-raw', async (req, res) => {
   }
 });
 
-// Start
-app.listen(PORT, () => {
-  console.log(`🎬 Got Next server is running on port ${PORT}`);
-  console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🎯 API available at: http://localhost:${PORT}/api`);
-});
+// Start (tests require the app and listen on their own port)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    log.info(`🎬 Got Next server is running on port ${PORT}`);
+    log.info(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
+    log.info(`🎯 API available at: http://localhost:${PORT}/api`);
+  });
+}
+
+module.exports = app;
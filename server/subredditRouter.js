@@ -0,0 +1,68 @@
+// server/subredditRouter.js
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'subreddits' });
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'subreddits.json');
+
+// Entries are { "name": "horror", "weight": 1.1 } or just "horror" (weight 1)
+const normalizeEntry = (entry) => {
+  if (typeof entry === 'string') return { name: entry, weight: 1 };
+  const weight = Number(entry.weight);
+  return { name: entry.name, weight: Number.isFinite(weight) && weight >= 0 ? weight : 1 };
+};
+
+const loadSubredditConfig = (filePath = process.env.SUBREDDITS_CONFIG || DEFAULT_CONFIG_PATH) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (filePath === DEFAULT_CONFIG_PATH) throw error;
+    log.warn(`⚠️ Could not load subreddit config ${filePath}, using defaults:`, error.message);
+    return JSON.parse(fs.readFileSync(DEFAULT_CONFIG_PATH, 'utf8'));
+  }
+};
+
+class SubredditRouter {
+  constructor(config = loadSubredditConfig()) {
+    this.sets = config.sets || {};
+    this.maxGenreSubreddits = config.max_genre_subreddits ?? 3;
+    this.genres = {};
+    Object.entries(config.genres || {}).forEach(([genre, entries]) => {
+      this.genres[genre.toLowerCase()] = entries.map(normalizeEntry);
+    });
+  }
+
+  // Base set for the content type, plus up to maxGenreSubreddits (default from config) picked from the seed's genres
+  // (TMDB genre objects, primary genre first). weightFor() is case-insensitive since
+  // posts report display_name, which may not match the configured casing.
+  route(contentType, genres = [], setName = 'quick', maxGenreSubreddits = null) {
+    const set = this.sets[setName] || this.sets.quick || {};
+    const genreLimit = maxGenreSubreddits ?? this.maxGenreSubreddits;
+    const chosen = new Map();
+
+    (set[contentType] || []).map(normalizeEntry).forEach(entry => {
+      chosen.set(entry.name.toLowerCase(), { ...entry, reason: 'base' });
+    });
+
+    let added = 0;
+    for (const genre of genres || []) {
+      for (const entry of this.genres[String(genre.name).toLowerCase()] || []) {
+        if (added >= genreLimit) break;
+        if (chosen.has(entry.name.toLowerCase())) continue;
+        chosen.set(entry.name.toLowerCase(), { ...entry, reason: genre.name });
+        added++;
+      }
+    }
+
+    const subreddits = Array.from(chosen.values());
+    return {
+      subreddits,
+      names: subreddits.map(entry => entry.name),
+      weightFor: (name) => chosen.get(String(name).toLowerCase())?.weight ?? 1,
+    };
+  }
+}
+
+module.exports = { SubredditRouter, loadSubredditConfig, normalizeEntry };
@@ -0,0 +1,67 @@
+// server/suggestions.js
+const { titleSimilarity } = require('./titleMatcher');
+
+// Titles scoring at least this against the query count as "the same name" ("The Office" vs "Office")
+const SAME_NAME_SIMILARITY = 0.95;
+// A same-name runner-up at least this popular relative to the leader makes the query ambiguous
+const AMBIGUITY_POPULARITY_RATIO = 0.2;
+
+const yearSuffix = /^(.+?)\s*\((\d{4})\)\s*$/;
+
+// "Dune (2021)" -> { title: 'Dune', year: '2021' }
+const parseQuery = (query) => {
+  const trimmed = String(query || '').trim();
+  const match = trimmed.match(yearSuffix);
+  return match ? { title: match[1].trim(), year: match[2] } : { title: trimmed, year: null };
+};
+
+const toSuggestion = (item, fallbackType) => {
+  const type = item.media_type || fallbackType;
+  const date = item.release_date || item.first_air_date || '';
+  return {
+    id: item.id,
+    type,
+    title: item.title || item.name,
+    year: date ? date.split('-')[0] : null,
+    poster_path: item.poster_path || null,
+    popularity: Number((item.popularity || 0).toFixed(2)),
+  };
+};
+
+// Same-name results (narrowed to the year when one was typed), most popular first. The query is
+// ambiguous when a runner-up is popular enough that results[0] could plausibly be the wrong seed.
+const disambiguate = (title, year, suggestions) => {
+  let matches = suggestions.filter(s => titleSimilarity(title, s.title) >= SAME_NAME_SIMILARITY);
+  if (year) {
+    const sameYear = matches.filter(s => s.year === year);
+    if (sameYear.length > 0) matches = sameYear;
+  }
+  matches = [...matches].sort((a, b) => b.popularity - a.popularity);
+
+  const ambiguous = matches.length > 1
+    && matches[1].popularity >= matches[0].popularity * AMBIGUITY_POPULARITY_RATIO;
+  return { matches, ambiguous, best: matches[0] || suggestions[0] || null };
+};
+
+// Typeahead and seed resolution over TMDB search. Only movies and TV with a poster are suggested.
+const suggest = async (tmdb, query, { type = 'multi', limit = 8 } = {}) => {
+  const { title, year } = parseQuery(query);
+  const data = await tmdb.get(`/search/${type}`, { query: title });
+  const fallbackType = type === 'multi' ? undefined : type;
+
+  const suggestions = (data.results || [])
+    .filter(item => item.poster_path && ['movie', 'tv'].includes(item.media_type || fallbackType))
+    .map(item => toSuggestion(item, fallbackType));
+
+  const { matches, ambiguous, best } = disambiguate(title, year, suggestions);
+  return {
+    query: title,
+    year,
+    results: suggestions.slice(0, limit),
+    matches: ambiguous ? matches.slice(0, limit) : [],
+    ambiguous,
+    best,
+  };
+};
+
+module.exports = { suggest, parseQuery, disambiguate, SAME_NAME_SIMILARITY, AMBIGUITY_POPULARITY_RATIO };
@@ -0,0 +1,126 @@
+// server/test/aiParser.test.js
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const AIParser = require('../aiParser');
+const { MockProvider, OpenAICompatibleProvider, createProvider } = require('../llmProviders');
+const { Recorder } = require('../recorder');
+const { Cache } = require('../cache');
+const ImprovedRedditService = require('../redditServiceV2');
+
+const parserWith = (provider) => new AIParser({ provider, recorder: new Recorder() });
+
+test('LLM_PROVIDER selects the provider', () => {
+  assert.ok(createProvider({ LLM_PROVIDER: 'mock' }) instanceof MockProvider);
+  assert.ok(createProvider({ LLM_PROVIDER: 'MOCK' }) instanceof MockProvider);
+  assert.strictEqual(createProvider({ LLM_PROVIDER: 'none' }), null);
+  assert.strictEqual(createProvider({ LLM_PROVIDER: 'groq' }), null, 'groq without GROQ_API_KEY is disabled');
+  assert.strictEqual(createProvider({ LLM_PROVIDER: 'nonsense' }), null);
+
+  const openai = createProvider({ LLM_PROVIDER: 'openai', LLM_API_KEY: 'key' });
+  assert.ok(openai instanceof OpenAICompatibleProvider);
+  assert.strictEqual(openai.model, 'gpt-4o-mini');
+  assert.strictEqual(openai.baseUrl, 'https://api.openai.com/v1');
+
+  const ollama = createProvider({ LLM_PROVIDER: 'ollama', LLM_MODEL: 'qwen2.5', LLM_BASE_URL: 'http://gpu-box:11434/v1/' });
+  assert.strictEqual(ollama.name, 'ollama');
+  assert.strictEqual(ollama.model, 'qwen2.5');
+  assert.strictEqual(ollama.baseUrl, 'http://gpu-box:11434/v1');
+});
+
+test('extractTitles returns the mock\'s titles from the comment', async () => {
+  const provider = new MockProvider();
+  const titles = await parserWith(provider).extractTitles(
+    'If you liked Heat, try Collateral (2004) and **Thief**.',
+    'Heat (1995)'
+  );
+
+  assert.deepStrictEqual(titles, [
+    { title: 'Collateral', year: '2004', mediaType: 'movie', stance: 'recommend', reason: '' },
+    { title: 'Thief', year: null, mediaType: 'movie', stance: 'recommend', reason: '' },
+  ]);
+  assert.strictEqual(provider.calls.length, 1);
+  assert.strictEqual(provider.calls[0].options.temperature, 0.1);
+});
+
+test('batch extraction reads titles from every comment', async () => {
+  const titles = await parserWith(new MockProvider()).extractTitlesFromMultipleComments(
+    ['Collateral (2004) for sure.', 'The Town (2010) is the closest.'],
+    'Heat (1995)'
+  );
+
+  assert.deepStrictEqual(titles.map(t => `${t.title} (${t.year})`), ['Collateral (2004)', 'The Town (2010)']);
+});
+
+test('stance, reason and media type come through from the JSON', async () => {
+  const provider = new MockProvider({
+    respond: () => '```json\n{"titles": [{"title": "Ronin", "year": 1998, "media_type": "movie", "stance": "avoid", "reason": "Ronin was a snooze"}, {"title": "Ronin"}, {"title": "Mindhunter", "media_type": "tv", "stance": "loved"}]}\n```',
+  });
+  const titles = await parserWith(provider).extractTitles('Ronin was a snooze, Mindhunter rules', 'Heat');
+
+  assert.deepStrictEqual(titles, [
+    { title: 'Ronin', year: '1998', mediaType: 'movie', stance: 'avoid', reason: 'Ronin was a snooze' },
+    { title: 'Mindhunter', year: null, mediaType: 'tv', stance: 'neutral', reason: '' },
+  ]);
+});
+
+test('malformed JSON is sent back for a repair', async () => {
+  const answers = [
+    'Sure! {"titles": [{"title": "Collateral", "year": 2004,',
+    '{"titles": [{"title": "Collateral", "year": 2004, "media_type": "movie", "stance": "recommend", "reason": ""}]}',
+  ];
+  const provider = new MockProvider({ respond: () => answers.shift() });
+  const titles = await parserWith(provider).extractTitles('Collateral (2004)', 'Heat');
+
+  assert.strictEqual(provider.calls.length, 2);
+  assert.match(provider.calls[1].messages[0].content, /Rewrite it as valid JSON/);
+  assert.match(provider.calls[1].messages[0].content, /Sure! \{"titles"/);
+  assert.deepStrictEqual(titles.map(t => t.title), ['Collateral']);
+});
+
+test('a failed repair falls back to line parsing', async () => {
+  const provider = new MockProvider({ respond: () => '1. Collateral (2004)\n2. The Town' });
+  const titles = await parserWith(provider).extractTitles('Collateral (2004), The Town', 'Heat');
+
+  assert.strictEqual(provider.calls.length, 2);
+  assert.deepStrictEqual(titles, [
+    { title: 'Collateral', year: '2004', mediaType: 'movie', stance: 'neutral', reason: '' },
+    { title: 'The Town', year: null, mediaType: 'movie', stance: 'neutral', reason: '' },
+  ]);
+});
+
+test('list markers are stripped without eating numeric titles', async () => {
+  const provider = new MockProvider({ respond: () => '{"titles": ["1. Collateral", "2) Ronin", "- Thief", "12 Angry Men", "2001: A Space Odyssey"]}' });
+  const titles = await parserWith(provider).extractTitles('...', 'Heat');
+
+  assert.deepStrictEqual(titles.map(t => t.title), ['Collateral', 'Ronin', 'Thief', '12 Angry Men', '2001: A Space Odyssey']);
+});
+
+test('no titles gives an empty list, no provider or a failed call gives null', async () => {
+  assert.deepStrictEqual(await parserWith(new MockProvider()).extractTitles('nothing to see here', 'Heat'), []);
+  assert.strictEqual(await parserWith(null).extractTitles('Collateral (2004)', 'Heat'), null);
+
+  const failing = new MockProvider({ respond: () => { throw new Error('rate limited'); } });
+  assert.strictEqual(await parserWith(failing).extractTitles('Collateral (2004)', 'Heat'), null);
+});
+
+test('the Reddit service caches "no titles" answers but not failures', async () => {
+  const serviceWith = (provider) => {
+    const service = new ImprovedRedditService(undefined, undefined, { cache: new Cache(), recorder: new Recorder() });
+    service.aiParser = parserWith(provider);
+    return service;
+  };
+
+  const empty = new MockProvider();
+  const quiet = serviceWith(empty);
+  assert.deepStrictEqual(await quiet.extractTitlesCached('nothing to see here', 'Heat'), []);
+  assert.deepStrictEqual(await quiet.extractTitlesCached('nothing to see here', 'Heat'), []);
+  assert.strictEqual(empty.calls.length, 1);
+
+  const failing = new MockProvider({ respond: () => { throw new Error('rate limited'); } });
+  const flaky = serviceWith(failing);
+  await flaky.extractTitlesCached('Collateral (2004)', 'Heat');
+  await flaky.extractTitlesCached('Collateral (2004)', 'Heat');
+  assert.strictEqual(failing.calls.length, 2);
+});
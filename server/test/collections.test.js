@@ -0,0 +1,87 @@
+// server/test/collections.test.js
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Collections } = require('../collections');
+const { Cache } = require('../cache');
+
+const DARK_KNIGHT = { id: 263, name: 'The Dark Knight Collection', poster_path: '/tdk.jpg' };
+const OCEANS = { id: 304, name: "Ocean's Collection", poster_path: '/oceans.jpg' };
+
+// id -> collection; ids listed in `failing` throw
+const fakeTmdb = (collectionsById, failing = []) => {
+  const calls = [];
+  return {
+    calls,
+    get: async (endpoint) => {
+      calls.push(endpoint);
+      const id = Number(endpoint.split('/')[2]);
+      if (failing.includes(id)) throw new Error('TMDB 500');
+      return { id, belongs_to_collection: collectionsById[id] || null };
+    },
+  };
+};
+
+const movie = (id, title) => ({ id, title, media_type: 'movie' });
+
+const RANKED = [
+  movie(272, 'Batman Begins'),
+  movie(1538, 'Collateral'),
+  movie(161, "Ocean's Eleven"),
+  movie(155, 'The Dark Knight'),
+  movie(298, "Ocean's Thirteen"),
+  movie(49026, 'The Dark Knight Rises'),
+];
+const BY_ID = { 272: DARK_KNIGHT, 155: DARK_KNIGHT, 49026: DARK_KNIGHT, 161: OCEANS, 298: OCEANS };
+
+test('each collection collapses onto its best-ranked entry, keeping rank order', async () => {
+  const result = await new Collections(fakeTmdb(BY_ID), new Cache()).group(RANKED);
+
+  assert.deepStrictEqual(result.items.map(item => item.title), ['Batman Begins', 'Collateral', "Ocean's Eleven"]);
+  assert.strictEqual(result.collapsed, 3);
+  assert.strictEqual(result.excluded, 0);
+  assert.strictEqual(result.ungroupedTail, 0);
+
+  const [batman, collateral, oceans] = result.items;
+  assert.strictEqual(batman.collection.name, DARK_KNIGHT.name);
+  assert.strictEqual(batman.collection.more, 2);
+  assert.deepStrictEqual(batman.collection.items.map(entry => entry.title), ['The Dark Knight', 'The Dark Knight Rises']);
+  assert.strictEqual(collateral.collection, undefined);
+  assert.deepStrictEqual(oceans.collection.items.map(entry => entry.id), [298]);
+});
+
+test('the seeds\' own collections are dropped entirely', async () => {
+  const result = await new Collections(fakeTmdb(BY_ID), new Cache()).group(RANKED, { excludeCollectionIds: [DARK_KNIGHT.id] });
+
+  assert.deepStrictEqual(result.items.map(item => item.title), ['Collateral', "Ocean's Eleven"]);
+  assert.strictEqual(result.excluded, 3);
+  assert.strictEqual(result.collapsed, 1);
+});
+
+test('a failed lookup leaves the title ungrouped', async () => {
+  const result = await new Collections(fakeTmdb(BY_ID, [155]), new Cache()).group(RANKED);
+
+  assert.deepStrictEqual(result.items.map(item => item.title), ['Batman Begins', 'Collateral', "Ocean's Eleven", 'The Dark Knight']);
+  assert.strictEqual(result.items[3].collection, undefined);
+  assert.deepStrictEqual(result.items[0].collection.items.map(entry => entry.id), [49026]);
+});
+
+test('lookups stop once a page of cards is grouped', async () => {
+  const tmdb = fakeTmdb(BY_ID);
+  const result = await new Collections(tmdb, new Cache()).group(RANKED, { pageSize: 2, batchSize: 2 });
+
+  assert.strictEqual(tmdb.calls.length, 2);
+  assert.strictEqual(result.ungroupedTail, 4);
+  assert.deepStrictEqual(result.items.map(item => item.id), RANKED.map(item => item.id));
+  assert.strictEqual(result.items[3].collection, undefined, 'the tail is passed through untouched');
+});
+
+test('TV shows have no collections and cost no lookups', async () => {
+  const tmdb = fakeTmdb(BY_ID);
+  const shows = [{ id: 1396, name: 'Breaking Bad' }, { id: 60059, name: 'Better Call Saul' }];
+  const result = await new Collections(tmdb, new Cache()).group(shows, { fallbackType: 'tv' });
+
+  assert.strictEqual(tmdb.calls.length, 0);
+  assert.deepStrictEqual(result.items, shows);
+});
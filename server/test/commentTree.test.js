@@ -0,0 +1,15 @@
+// server/test/commentTree.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { isEndorsement } = require('../commentTree');
+
+test('replies that open with agreement endorse their parent', () => {
+  ['+1', 'This!', 'Seconded', 'Seconding The Town', 'Agreed, The Town is the closest thing to Heat.', 'Came here to say this', 'Great pick']
+    .forEach(reply => assert.ok(isEndorsement(reply), reply));
+});
+
+test('questions, neutral chatter and pushback do not', () => {
+  ["haven't seen it, is it scary?", 'Agreed?', 'lol', 'I watched it on a plane once', 'This reminds me of my childhood',
+    'this is nothing like Heat', 'nah', 'Absolutely overrated']
+    .forEach(reply => assert.ok(!isEndorsement(reply), reply));
+});
@@ -0,0 +1,54 @@
+// server/test/mentionSentiment.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { assessMention, DECISIONS } = require('../mentionSentiment');
+
+const decide = (text, title) => assessMention(text, title).decision;
+
+test('steering people away from a title drops it', () => {
+  assert.strictEqual(decide("Don't watch Cats, it's a mess.", 'Cats'), DECISIONS.drop);
+  assert.strictEqual(decide('Never ever watch Cats.', 'Cats'), DECISIONS.drop);
+  assert.strictEqual(decide('Unlike Cats, Heat actually holds up.', 'Cats'), DECISIONS.drop);
+  assert.strictEqual(decide("Don't watch Cats", "Don't watch Cats"), DECISIONS.drop, 'a line pattern can capture the negation');
+});
+
+test('strongly negative words drop, milder ones downweight', () => {
+  const terrible = assessMention('Ronin was terrible.', 'Ronin');
+  assert.strictEqual(terrible.decision, DECISIONS.drop);
+  assert.deepStrictEqual(terrible.cues, ['terrible']);
+
+  assert.strictEqual(decide('Ronin was kind of boring.', 'Ronin'), DECISIONS.downweight);
+  assert.strictEqual(decide('Ronin was not boring at all.', 'Ronin'), DECISIONS.keep);
+  assert.strictEqual(decide('Collateral is a masterpiece.', 'Collateral'), DECISIONS.keep);
+});
+
+test('sarcasm turns praise around', () => {
+  const sarcastic = assessMention('Cats is a masterpiece /s', 'Cats');
+  assert.strictEqual(sarcastic.decision, DECISIONS.downweight);
+  assert.ok(sarcastic.cues.includes('sarcasm'));
+
+  assert.strictEqual(decide('Cats is a masterpiece, yeah right.', 'Cats'), DECISIONS.downweight);
+});
+
+test('a negation only reaches the title in its own clause', () => {
+  assert.strictEqual(decide('Skip Ronin, watch Thief instead.', 'Ronin'), DECISIONS.drop);
+  assert.strictEqual(decide('Skip Ronin, watch Thief instead.', 'Thief'), DECISIONS.keep);
+  assert.strictEqual(decide('Skip Ronin; Thief is the one.', 'Thief'), DECISIONS.keep);
+  assert.strictEqual(decide('Ronin was terrible but Thief was great.', 'Thief'), DECISIONS.keep);
+  assert.strictEqual(decide('Ronin was terrible but Thief was great.', 'Ronin'), DECISIONS.drop);
+});
+
+test('a bare "not" is not a reason to drop', () => {
+  assert.strictEqual(decide('Not Heat, but Thief is the closest match.', 'Heat'), DECISIONS.keep);
+  assert.strictEqual(decide('Not Heat, but Thief is the closest match.', 'Thief'), DECISIONS.keep);
+});
+
+test('sentiment after the title still counts across a comma', () => {
+  assert.strictEqual(decide('Ronin, which was terrible, came out in 1998.', 'Ronin'), DECISIONS.drop);
+});
+
+test('a title missing from the text is kept as neutral', () => {
+  assert.deepStrictEqual(assessMention('Nothing relevant here.', 'Heat'), {
+    decision: DECISIONS.keep, stance: 'neutral', sentiment: 0, cues: [], reason: null,
+  });
+});
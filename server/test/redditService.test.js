@@ -0,0 +1,44 @@
+// server/test/redditService.test.js
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ImprovedRedditService = require('../redditServiceV2');
+const { Cache } = require('../cache');
+const { Recorder } = require('../recorder');
+const { ENDORSEMENT_WEIGHT } = require('../commentTree');
+
+test('a recommendation keeps its five most upvoted contexts', () => {
+  const service = new ImprovedRedditService(undefined, undefined, { cache: new Cache(), recorder: new Recorder() });
+  const recommendations = new Map();
+  const movie = { tmdbMatch: { id: 1538, title: 'Collateral' }, confidence: 1 };
+
+  [3, 8, 1, 40, 2, 900, 15, 7].forEach((upvotes, i) => {
+    service.addOrUpdateRecommendation(recommendations, movie, {
+      source: 'comment', subreddit: 'MovieSuggestions', url: `https://reddit.com/${i}`, score: upvotes, upvotes,
+    });
+  });
+
+  const rec = recommendations.get(1538);
+  assert.strictEqual(rec.mentions, 8);
+  assert.deepStrictEqual(rec.contexts.map(context => context.upvotes), [900, 40, 15, 8, 7]);
+});
+
+test('weighted mentions scale by subreddit weight, depth and endorsement', () => {
+  const service = new ImprovedRedditService(undefined, undefined, { cache: new Cache(), recorder: new Recorder() });
+  const recommendations = new Map();
+  const movie = { tmdbMatch: { id: 1538, title: 'Collateral' }, confidence: 1 };
+  const mention = (context) => service.addOrUpdateRecommendation(recommendations, movie, {
+    source: 'comment', subreddit: 'MovieSuggestions', url: 'https://reddit.com/x', depth: 0, ...context,
+  });
+
+  mention({ weight: 1.5 });
+  mention({ weight: 0.5, subreddit: 'movies' });
+  mention({ weight: 1.5, source: 'endorsement' });
+
+  const rec = recommendations.get(1538);
+  assert.strictEqual(rec.mentions, 3);
+  assert.strictEqual(rec.weightedMentions, 1.5 + 0.5 + 1.5 * ENDORSEMENT_WEIGHT);
+  assert.strictEqual(rec.score_breakdown.signals.mentions.value, rec.weightedMentions);
+  assert.strictEqual(rec.score_breakdown.signals.subreddit_quality.value, Number((3.5 / 3).toFixed(3)));
+});
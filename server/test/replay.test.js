@@ -0,0 +1,103 @@
+// server/test/replay.test.js
+// Runs the whole recommendation pipeline offline against fixtures/recordings. To re-record them,
+// run the same requests with RECORD_REPLAY_MODE=record and live Reddit/TMDB credentials.
+process.env.RECORD_REPLAY_MODE = 'replay';
+process.env.LLM_PROVIDER = 'mock';
+process.env.LOG_LEVEL = 'silent';
+process.env.CACHE_BACKEND = 'memory';
+delete process.env.RECORD_REPLAY_DIR;
+delete process.env.CACHE_WARM;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const app = require('../server');
+const ImprovedRedditService = require('../redditServiceV2');
+const { Recorder } = require('../recorder');
+
+// Heat (1995); the recorded thread recommends Collateral and The Town, TMDB adds Thief and Ronin
+const SEED_ID = 949;
+const SEED_TITLE = 'Heat (1995)';
+
+const request = (server, path) => fetch(`http://127.0.0.1:${server.address().port}${path}`);
+
+test('/api/ai-recommendations replays a recorded session', async (t) => {
+  const server = app.listen(0);
+  t.after(() => server.close());
+
+  const response = await request(server, `/api/ai-recommendations/movie/${SEED_ID}?searchTitle=${encodeURIComponent(SEED_TITLE)}`);
+  assert.strictEqual(response.status, 200);
+  const body = await response.json();
+
+  assert.strictEqual(body.title, 'Heat');
+  assert.strictEqual(body.metadata.strategy.name, 'quick');
+  assert.strictEqual(body.metadata.strategy.ran, true);
+  assert.deepStrictEqual(
+    body.recommendations.map(rec => `${rec.title} [${rec.source_type}]`).sort(),
+    ['Collateral [reddit]', 'Ronin [tmdb]', 'The Town [reddit]', 'Thief [tmdb]']
+  );
+
+  const collateral = body.recommendations.find(rec => rec.title === 'Collateral');
+  assert.strictEqual(collateral.reddit_data.contexts[0].source, 'ai-batch');
+  assert.match(collateral.reddit_data.contexts[0].excerpt, /Collateral \(2004\)/);
+  assert.ok(collateral.score_breakdown.signals.mentions);
+});
+
+test('getRecommendations replays deterministically', async () => {
+  const service = new ImprovedRedditService(undefined, undefined, {});
+  assert.strictEqual(service.authMode, 'replay');
+
+  const run = async () => {
+    const events = [];
+    const recommendations = await service.getRecommendations('Heat', 32, 'movie', {
+      onProgress: (event, data) => events.push({ event, data }),
+    });
+    return { recommendations, events };
+  };
+
+  const first = await run();
+  const second = await run();
+
+  assert.deepStrictEqual(first.recommendations.map(rec => rec.id).sort(), [1538, 23168]);
+  assert.deepStrictEqual(second.recommendations.map(rec => rec.id), first.recommendations.map(rec => rec.id));
+
+  const finished = first.events.find(({ event }) => event === 'search_finished').data;
+  assert.strictEqual(finished.strategy, 'quick');
+  assert.strictEqual(finished.stopped_reason, 'exhausted');
+  assert.strictEqual(finished.posts_checked, 1);
+
+  const town = first.recommendations.find(rec => rec.id === 23168);
+  const endorsements = town.contexts.filter(context => context.source === 'endorsement');
+  assert.deepStrictEqual(endorsements.map(context => context.author), ['user_c2'], 'the "is it scary?" reply is not an endorsement');
+});
+
+test('the time budget is checked after a thread is fetched', async (t) => {
+  const service = new ImprovedRedditService(undefined, undefined, {});
+  const realNow = Date.now;
+  t.after(() => { Date.now = realNow; });
+
+  // The thread fetch "takes" ten minutes, longer than any strategy's budget
+  const fetchThread = service.fetchThread.bind(service);
+  service.fetchThread = async (...args) => {
+    const thread = await fetchThread(...args);
+    const elapsed = realNow() + 10 * 60 * 1000;
+    Date.now = () => elapsed;
+    return thread;
+  };
+
+  const events = [];
+  const recommendations = await service.getRecommendations('Heat', 32, 'movie', {
+    onProgress: (event, data) => events.push({ event, data }),
+  });
+
+  const finished = events.find(({ event }) => event === 'search_finished').data;
+  assert.strictEqual(finished.stopped_reason, 'time_budget');
+  assert.deepStrictEqual(recommendations, []);
+});
+
+test('replay fails loudly on an unrecorded call', async () => {
+  const recorder = new Recorder({ mode: 'replay' });
+  await assert.rejects(
+    recorder.wrap('tmdb', { endpoint: '/movie/0', params: {} }, async () => ({})),
+    { code: 'REPLAY_MISS' }
+  );
+});
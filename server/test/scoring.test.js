@@ -0,0 +1,102 @@
+// server/test/scoring.test.js
+process.env.LOG_LEVEL = 'warn';
+delete process.env.SCORING_CONFIG;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { Scorer, SIGNALS, registerSignal, loadScoringConfig } = require('../scoring');
+
+const NOW = Date.UTC(2024, 0, 1);
+const rec = {
+  avgConfidence: 0.9,
+  mentions: 4,
+  weightedMentions: 5,
+  vote_average: 7.5,
+  signals: {
+    upvotes: 120,
+    relevance: 150,
+    newest_utc: NOW / 1000 - 2 * 365.25 * 24 * 3600,
+    subreddit_weight_total: 4.5,
+    mention_count: 4,
+  },
+};
+
+// Collects what the logger writes to stderr while fn runs
+const warnings = (t, fn) => {
+  const lines = [];
+  t.mock.method(process.stderr, 'write', (chunk) => { lines.push(String(chunk)); return true; });
+  try {
+    fn();
+  } finally {
+    process.stderr.write.mock.restore();
+  }
+  return lines.join('');
+};
+
+test('the breakdown\'s contributions add up to the total', () => {
+  const { total, breakdown } = new Scorer().score(rec, NOW);
+  const sum = Object.values(breakdown.signals).reduce((acc, signal) => acc + signal.contribution, 0);
+
+  assert.strictEqual(breakdown.total, total);
+  assert.ok(Math.abs(sum - total) < 1e-3, `${sum} vs ${total}`);
+  Object.values(breakdown.signals).forEach(signal => {
+    assert.ok(Math.abs(signal.contribution - signal.weight * signal.normalized) < 1e-3);
+  });
+});
+
+test('the weights in scoring.json are the ones applied', () => {
+  const config = loadScoringConfig();
+  const { breakdown } = new Scorer(config).score(rec, NOW);
+
+  assert.deepStrictEqual(Object.keys(breakdown.signals).sort(), Object.keys(config.weights).sort());
+  Object.entries(config.weights).forEach(([name, weight]) => {
+    assert.strictEqual(breakdown.signals[name].weight, weight);
+  });
+});
+
+test('signals normalize onto 0-1', () => {
+  const config = new Scorer().config;
+  assert.strictEqual(SIGNALS.mentions({ weightedMentions: config.saturation.mentions }, config).normalized, 1);
+  assert.strictEqual(SIGNALS.mentions({ mentions: 1000 }, config).normalized, 1);
+  assert.strictEqual(SIGNALS.upvotes({}, config).normalized, 0);
+  assert.strictEqual(SIGNALS.rating({ vote_average: 8 }, config).normalized, 0.8);
+  assert.strictEqual(SIGNALS.subreddit_quality({}, config).value, 1, 'no mentions reads as an average subreddit');
+
+  const halfLife = { signals: { newest_utc: NOW / 1000 - config.recency_half_life_years * 365.25 * 24 * 3600 } };
+  assert.ok(Math.abs(SIGNALS.recency(halfLife, config, NOW).normalized - 0.5) < 1e-9);
+});
+
+test('only weighted signals count, and custom weights change the total', () => {
+  const mentionsOnly = new Scorer({ weights: { mentions: 1 } }).score(rec, NOW);
+  assert.deepStrictEqual(Object.keys(mentionsOnly.breakdown.signals), ['mentions']);
+  assert.strictEqual(mentionsOnly.total, Number(SIGNALS.mentions(rec, new Scorer().config).normalized.toFixed(4)));
+
+  const ratingOnly = new Scorer({ weights: { rating: 2 } }).score(rec, NOW);
+  assert.strictEqual(ratingOnly.total, 1.5);
+});
+
+test('registered signals can be weighted', (t) => {
+  t.after(() => { delete SIGNALS.always_one; });
+  registerSignal('always_one', () => ({ value: 1, normalized: 1 }));
+
+  const { total, breakdown } = new Scorer({ weights: { always_one: 0.4 } }).score(rec, NOW);
+  assert.strictEqual(total, 0.4);
+  assert.deepStrictEqual(breakdown.signals.always_one, { value: 1, normalized: 1, weight: 0.4, contribution: 0.4 });
+});
+
+test('unknown signals in the config are warned about and ignored', (t) => {
+  let scorer;
+  const output = warnings(t, () => { scorer = new Scorer({ weights: { mentions: 1, karma: 0.5 } }); });
+
+  assert.match(output, /Unknown scoring signal "karma" ignored/);
+  assert.deepStrictEqual(Object.keys(scorer.weights), ['mentions']);
+});
+
+test('an unreadable config falls back to scoring.json with a warning', (t) => {
+  let config;
+  const output = warnings(t, () => { config = loadScoringConfig(path.join(__dirname, 'no-such-scoring.json')); });
+
+  assert.match(output, /Could not load scoring config/);
+  assert.deepStrictEqual(config, loadScoringConfig());
+});
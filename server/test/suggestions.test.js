@@ -0,0 +1,75 @@
+// server/test/suggestions.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { suggest, parseQuery, disambiguate } = require('../suggestions');
+
+const DUNE_2021 = { id: 438631, type: 'movie', title: 'Dune', year: '2021', popularity: 120 };
+const DUNE_1984 = { id: 841, type: 'movie', title: 'Dune', year: '1984', popularity: 40 };
+const DUNE_PART_TWO = { id: 693134, type: 'movie', title: 'Dune: Part Two', year: '2024', popularity: 300 };
+const THE_OFFICE_US = { id: 2316, type: 'tv', title: 'The Office', year: '2005', popularity: 250 };
+const THE_OFFICE_UK = { id: 2996, type: 'tv', title: 'The Office', year: '2001', popularity: 60 };
+
+test('parseQuery splits off a trailing year', () => {
+  assert.deepStrictEqual(parseQuery('Dune'), { title: 'Dune', year: null });
+  assert.deepStrictEqual(parseQuery('  Dune (2021) '), { title: 'Dune', year: '2021' });
+  assert.deepStrictEqual(parseQuery('2001: A Space Odyssey'), { title: '2001: A Space Odyssey', year: null });
+  assert.deepStrictEqual(parseQuery(''), { title: '', year: null });
+});
+
+test('"Dune" is ambiguous between the same-name films', () => {
+  const { matches, ambiguous, best } = disambiguate('Dune', null, [DUNE_PART_TWO, DUNE_1984, DUNE_2021]);
+
+  assert.strictEqual(ambiguous, true);
+  assert.deepStrictEqual(matches.map(match => match.id), [DUNE_2021.id, DUNE_1984.id], 'most popular first, sequel left out');
+  assert.strictEqual(best, DUNE_2021);
+});
+
+test('"Dune (2021)" narrows to that year', () => {
+  const { matches, ambiguous, best } = disambiguate('Dune', '2021', [DUNE_PART_TWO, DUNE_1984, DUNE_2021]);
+
+  assert.strictEqual(ambiguous, false);
+  assert.deepStrictEqual(matches, [DUNE_2021]);
+  assert.strictEqual(best, DUNE_2021);
+});
+
+test('"Office" and "The Office" name the same shows', () => {
+  const shows = [THE_OFFICE_US, THE_OFFICE_UK];
+  const withoutArticle = disambiguate('Office', null, shows);
+  const withArticle = disambiguate('The Office', null, shows);
+
+  assert.strictEqual(withoutArticle.ambiguous, true);
+  assert.deepStrictEqual(withoutArticle.matches, withArticle.matches);
+  assert.strictEqual(withArticle.best, THE_OFFICE_US);
+});
+
+test('a far less popular namesake is not worth asking about', () => {
+  const obscure = { ...DUNE_1984, popularity: 5 };
+  const { ambiguous, best } = disambiguate('Dune', null, [DUNE_2021, obscure]);
+
+  assert.strictEqual(ambiguous, false);
+  assert.strictEqual(best, DUNE_2021);
+});
+
+test('suggest searches TMDB for the title without the year', async () => {
+  const calls = [];
+  const tmdb = {
+    get: async (endpoint, params) => {
+      calls.push({ endpoint, params });
+      return {
+        results: [
+          { id: 438631, media_type: 'movie', title: 'Dune', release_date: '2021-09-15', poster_path: '/a.jpg', popularity: 120 },
+          { id: 841, media_type: 'movie', title: 'Dune', release_date: '1984-12-14', poster_path: '/b.jpg', popularity: 40 },
+          { id: 1, media_type: 'person', name: 'Dune Person', poster_path: '/c.jpg' },
+          { id: 2, media_type: 'movie', title: 'Dune Drifter', release_date: '2020-01-01', poster_path: null },
+        ],
+      };
+    },
+  };
+
+  const result = await suggest(tmdb, 'Dune (1984)');
+  assert.deepStrictEqual(calls, [{ endpoint: '/search/multi', params: { query: 'Dune' } }]);
+  assert.strictEqual(result.year, '1984');
+  assert.deepStrictEqual(result.results.map(item => item.id), [438631, 841], 'people and poster-less titles are left out');
+  assert.strictEqual(result.ambiguous, false);
+  assert.strictEqual(result.best.id, 841);
+});
@@ -0,0 +1,54 @@
+// server/test/titleMatcher.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeTitle, expandAbbreviation, titleSimilarity, matchConfidence } = require('../titleMatcher');
+
+const confidence = (extracted, candidate, options) => matchConfidence(extracted, candidate, options).confidence;
+
+test('accents, case, punctuation and "&" normalize away', () => {
+  assert.strictEqual(normalizeTitle('Amélie'), 'amelie');
+  assert.strictEqual(normalizeTitle('AMELIE!'), 'amelie');
+  assert.strictEqual(normalizeTitle('Crouching Tiger, Hidden Dragon (2000)'), 'crouching tiger hidden dragon');
+  assert.strictEqual(normalizeTitle('Fast & Furious'), 'fast and furious');
+  assert.strictEqual(confidence('Amelie', { title: 'Amélie' }), 1);
+  assert.strictEqual(confidence('Y tu mama tambien', { title: 'Y Tu Mamá También' }), 1);
+});
+
+test('a missing or extra "The" still matches', () => {
+  assert.strictEqual(titleSimilarity('Dark Knight', 'The Dark Knight'), 0.97);
+  assert.strictEqual(titleSimilarity('The Matrix', 'Matrix'), 0.97);
+});
+
+test('LOTR resolves through the abbreviation or the initials', () => {
+  assert.strictEqual(expandAbbreviation('LOTR'), 'The Lord of the Rings');
+  const lotr = matchConfidence('LOTR', { title: 'The Lord of the Rings: The Fellowship of the Ring' });
+  assert.ok(lotr.confidence >= 0.85);
+  assert.strictEqual(lotr.via, 'abbreviation');
+});
+
+test('abbreviations only expand for their own content type', () => {
+  assert.strictEqual(expandAbbreviation('GoT', 'tv'), 'Game of Thrones');
+  assert.strictEqual(expandAbbreviation('GoT', 'movie'), 'GoT');
+  assert.strictEqual(expandAbbreviation('BB'), 'BB');
+  assert.strictEqual(expandAbbreviation('TDK', 'tv'), 'TDK');
+  assert.strictEqual(matchConfidence('bb', { name: 'Breaking Bad' }, { contentType: 'tv' }).via, 'abbreviation');
+});
+
+test('Se7en matches exactly and "Seven" fuzzily', () => {
+  assert.strictEqual(confidence('Se7en', { title: 'Se7en' }), 1);
+  const seven = confidence('Seven', { title: 'Se7en' });
+  assert.ok(seven > 0.65 && seven < 0.9, `got ${seven}`);
+});
+
+test('short titles need an exact or alternative-title match', () => {
+  assert.strictEqual(confidence('Her', { title: 'Here' }), 0);
+  assert.strictEqual(confidence('Here', { title: 'Her' }), 0);
+  assert.strictEqual(confidence('Up', { title: 'Us' }), 0);
+  assert.strictEqual(confidence('Her', { title: 'Her' }), 1);
+  assert.strictEqual(confidence('Ran', { title: 'Kurosawa\'s Ran' }, { alternativeTitles: ['Ran'] }), 1);
+});
+
+test('the year nudges the confidence', () => {
+  assert.strictEqual(confidence('Amélie (2001)', { title: 'Amélie', release_date: '2001-04-25' }), 1);
+  assert.strictEqual(confidence('Heat', { title: 'Heat', release_date: '1986-03-14' }, { year: 1995 }), 0.7);
+});
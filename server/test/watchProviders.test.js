@@ -0,0 +1,58 @@
+// server/test/watchProviders.test.js
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { WatchProviders } = require('../watchProviders');
+const { Cache } = require('../cache');
+
+const NETFLIX = 8;
+const MUBI = 11;
+
+// Even ids stream on Netflix in the US, odd ids on Mubi
+const fakeTmdb = () => {
+  const calls = [];
+  return {
+    calls,
+    get: async (endpoint) => {
+      calls.push(endpoint);
+      const id = Number(endpoint.split('/')[2]);
+      const provider = id % 2 === 0 ? { provider_id: NETFLIX, provider_name: 'Netflix' } : { provider_id: MUBI, provider_name: 'MUBI' };
+      return { results: { US: { flatrate: [provider] } } };
+    },
+  };
+};
+
+const items = (count) => Array.from({ length: count }, (_, i) => ({ id: i + 1, title: `Movie ${i + 1}` }));
+
+test('keeps titles on the wanted services and drops the rest', async () => {
+  const tmdb = fakeTmdb();
+  const kept = await new WatchProviders(tmdb, new Cache()).filterByServices(items(6), { region: 'US', providerIds: [NETFLIX] });
+
+  assert.deepStrictEqual(kept.map(item => item.id), [2, 4, 6]);
+  assert.strictEqual(kept[0].available_on[0].provider_name, 'Netflix');
+  assert.strictEqual(tmdb.calls.length, 6);
+});
+
+test('titles past maxChecks come back unchecked instead of being dropped', async () => {
+  const tmdb = fakeTmdb();
+  const result = await new WatchProviders(tmdb, new Cache()).filterByServices(items(10), {
+    region: 'US', providerIds: [NETFLIX], maxChecks: 4, batchSize: 3,
+  });
+
+  assert.strictEqual(tmdb.calls.length, 4);
+  assert.deepStrictEqual(result.map(item => item.id), [2, 4, 5, 6, 7, 8, 9, 10]);
+  assert.deepStrictEqual(result.filter(item => item.availability_unchecked).map(item => item.id), [5, 6, 7, 8, 9, 10]);
+  assert.strictEqual(result[2].available_on, null);
+});
+
+test('lookups stop once stopAfter titles are kept', async () => {
+  const tmdb = fakeTmdb();
+  const result = await new WatchProviders(tmdb, new Cache()).filterByServices(items(20), {
+    region: 'US', providerIds: [MUBI], stopAfter: 2, batchSize: 2,
+  });
+
+  assert.strictEqual(tmdb.calls.length, 4);
+  assert.deepStrictEqual(result.filter(item => !item.availability_unchecked).map(item => item.id), [1, 3]);
+  assert.strictEqual(result.length, 2 + 16);
+});
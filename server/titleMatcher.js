@@ -0,0 +1,193 @@
+// server/titleMatcher.js
+
+// Shorthand people use on reddit that TMDB search won't resolve on its own, per content type
+// so "got" or "bb" in a movie thread isn't read as a TV show
+const ABBREVIATIONS = {
+  movie: {
+    lotr: 'The Lord of the Rings',
+    hp: 'Harry Potter',
+    sw: 'Star Wars',
+    tdk: 'The Dark Knight',
+    tdkr: 'The Dark Knight Rises',
+    t2: 'Terminator 2: Judgment Day',
+    esotsm: 'Eternal Sunshine of the Spotless Mind',
+    tgtbatu: 'The Good, the Bad and the Ugly',
+    tgtbtu: 'The Good, the Bad and the Ugly',
+    gotg: 'Guardians of the Galaxy',
+    '2001': '2001: A Space Odyssey',
+  },
+  tv: {
+    got: 'Game of Thrones',
+    bb: 'Breaking Bad',
+    bcs: 'Better Call Saul',
+    atla: 'Avatar: The Last Airbender',
+    fmab: 'Fullmetal Alchemist: Brotherhood',
+    nge: 'Neon Genesis Evangelion',
+    tng: 'Star Trek: The Next Generation',
+    ds9: 'Star Trek: Deep Space Nine',
+    iasip: "It's Always Sunny in Philadelphia",
+    himym: 'How I Met Your Mother',
+    b99: 'Brooklyn Nine-Nine',
+  },
+};
+
+const STOPWORDS = new Set(['the', 'a', 'an', 'and', 'of']);
+
+// Confidence for each kind of match. `fuzzy` is a ceiling rather than a fixed score: it scales
+// the edit or word similarity, so a fuzzy match lands anywhere below it.
+const SCORES = {
+  exact: 1,
+  withoutArticle: 0.97,
+  sameWords: 0.95,
+  subtitle: 0.88,
+  initials: 0.85,
+  fuzzy: 0.9,
+};
+
+// Titles this short (articles aside) only match exactly or through an alias; "Her" is one edit from "Here"
+const MIN_FUZZY_LENGTH = 5;
+
+const trailingYear = /\s*\((\d{4})\)\s*$/;
+
+// "Amélie", "AMELIE!" and "amelie" all become "amelie"; "&" reads as "and"
+const normalizeTitle = (title) => String(title || '')
+  .replace(trailingYear, '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/['’`]/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const withoutArticle = (normalized) => normalized.replace(/^(the|a|an) /, '');
+
+// "Mad Max: Fury Road" -> "Mad Max"
+const mainTitle = (title) => String(title || '').split(/\s*[:–—]\s*|\s+-\s+/)[0];
+
+const significantWords = (normalized) => normalized.split(' ').filter(word => word && !STOPWORDS.has(word));
+
+const initials = (normalized) => normalized.split(' ').filter(Boolean).map(word => word[0]).join('');
+
+const yearOf = (item) => {
+  const date = item.release_date || item.first_air_date;
+  const year = typeof date === 'string' ? parseInt(date.split('-')[0], 10) : NaN;
+  return Number.isNaN(year) ? null : year;
+};
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const editSimilarity = (a, b) => 1 - levenshtein(a, b) / (Math.max(a.length, b.length) || 1);
+
+const wordOverlap = (a, b) => {
+  const aWords = new Set(significantWords(a));
+  const bWords = new Set(significantWords(b));
+  if (aWords.size === 0 || bWords.size === 0) return 0;
+  let common = 0;
+  aWords.forEach(word => { if (bWords.has(word)) common++; });
+  return (2 * common) / (aWords.size + bWords.size);
+};
+
+const expandAbbreviation = (title, contentType = 'movie') => {
+  const key = normalizeTitle(title).replace(/ /g, '');
+  return (ABBREVIATIONS[contentType] || {})[key] || title;
+};
+
+// How well one extracted title matches one TMDB title, ignoring years
+const titleSimilarity = (extracted, tmdbTitle) => {
+  const e = normalizeTitle(extracted);
+  const t = normalizeTitle(tmdbTitle);
+  if (!e || !t) return 0;
+  if (e === t) return SCORES.exact;
+
+  const eCore = withoutArticle(e);
+  const tCore = withoutArticle(t);
+  if (eCore === tCore) return SCORES.withoutArticle;
+
+  const eKey = significantWords(e).sort().join(' ');
+  if (eKey && eKey === significantWords(t).sort().join(' ')) return SCORES.sameWords;
+
+  const eMain = withoutArticle(normalizeTitle(mainTitle(extracted)));
+  const tMain = withoutArticle(normalizeTitle(mainTitle(tmdbTitle)));
+  if (eCore === tMain || eMain === tCore) return SCORES.subtitle;
+
+  // "LOTR", "ESOTSM", "T2"
+  if (!e.includes(' ') && e.length >= 2 && e.length <= 8
+    && [t, tCore, tMain].some(variant => initials(variant) === e)) {
+    return SCORES.initials;
+  }
+
+  if (Math.min(eCore.length, tCore.length) < MIN_FUZZY_LENGTH) return 0;
+  return SCORES.fuzzy * Math.max(editSimilarity(eCore, tCore), wordOverlap(e, t));
+};
+
+// Same year is a small bonus, a year off is neutral, further off counts against the match
+const yearAdjustment = (expectedYear, candidateYear) => {
+  if (!expectedYear || !candidateYear) return 0;
+  const diff = Math.abs(Number(expectedYear) - candidateYear);
+  if (diff === 0) return 0.05;
+  if (diff === 1) return 0;
+  return -Math.min(0.3, 0.1 * (diff - 1));
+};
+
+// Best match of the extracted title against a TMDB result's title, original title and any
+// alternative titles. Returns { confidence (0-1), matchedTitle, via }.
+const matchConfidence = (extracted, candidate, { year = null, alternativeTitles = [], contentType = 'movie' } = {}) => {
+  if (!extracted || !candidate) return { confidence: 0, matchedTitle: null, via: null };
+
+  const item = typeof candidate === 'string' ? { title: candidate } : candidate;
+  const names = [
+    { name: item.title || item.name, via: 'title' },
+    { name: item.original_title || item.original_name, via: 'original_title' },
+    ...alternativeTitles.map(name => ({ name, via: 'alternative_title' })),
+  ].filter(entry => entry.name);
+
+  const expanded = expandAbbreviation(extracted, contentType);
+  let best = { confidence: 0, matchedTitle: null, via: null };
+  names.forEach(({ name, via }) => {
+    const direct = titleSimilarity(extracted, name);
+    const viaAbbreviation = expanded !== extracted ? titleSimilarity(expanded, name) * SCORES.withoutArticle : 0;
+    const score = Math.max(direct, viaAbbreviation);
+    if (score > best.confidence) {
+      best = { confidence: score, matchedTitle: name, via: viaAbbreviation > direct ? 'abbreviation' : via };
+    }
+  });
+
+  const expectedYear = year || (String(extracted).match(trailingYear) || [])[1];
+  const adjusted = best.confidence + yearAdjustment(expectedYear, yearOf(item));
+  return { ...best, confidence: Math.round(Math.min(1, Math.max(0, adjusted)) * 1000) / 1000 };
+};
+
+// Scores every candidate, best first; ties keep TMDB's order. alternativeTitles maps id -> [title]
+const rankCandidates = (extracted, candidates, { year = null, alternativeTitles = new Map(), contentType = 'movie' } = {}) => candidates
+  .map((candidate, index) => ({
+    candidate,
+    index,
+    ...matchConfidence(extracted, candidate, { year, contentType, alternativeTitles: alternativeTitles.get(candidate.id) || [] }),
+  }))
+  .sort((a, b) => b.confidence - a.confidence || a.index - b.index);
+
+module.exports = {
+  ABBREVIATIONS,
+  normalizeTitle,
+  expandAbbreviation,
+  levenshtein,
+  titleSimilarity,
+  matchConfidence,
+  rankCandidates,
+};
@@ -0,0 +1,156 @@
+// server/tmdbClient.js
+const axios = require('axios');
+const { createRecorder, stableStringify } = require('./recorder');
+const { metrics } = require('./metrics');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'tmdb' });
+
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+
+// "/movie/550/recommendations" -> "/movie/:id/recommendations"
+const endpointLabel = (endpoint) => endpoint.replace(/\/\d+(?=\/|$)/g, '/:id');
+
+// Retry-After is either a number of seconds or an HTTP date
+const retryAfterMs = (header) => {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+class TmdbClient {
+  constructor({
+    apiKey,
+    accessToken,
+    recorder = createRecorder(),
+    baseUrl = 'https://api.themoviedb.org/3',
+    timeout = 10000,
+    maxRetries = 3,
+    baseDelay = 500,
+    maxDelay = 10000,
+  } = {}) {
+    this.apiKey = apiKey;
+    this.accessToken = accessToken;
+    this.recorder = recorder;
+    this.baseUrl = baseUrl;
+    this.timeout = timeout;
+    this.maxRetries = maxRetries;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.inFlight = new Map();
+    this.stats = {};
+  }
+
+  isConfigured() {
+    return !!(this.accessToken || this.apiKey);
+  }
+
+  // Prefer the v4 read token as a Bearer header; fall back to the v3 api_key param
+  authOptions() {
+    if (this.accessToken) {
+      return { headers: { Authorization: `Bearer ${this.accessToken}` }, params: {} };
+    }
+    return { headers: {}, params: { api_key: this.apiKey } };
+  }
+
+  async get(endpoint, params = {}, { timeout = this.timeout } = {}) {
+    const key = stableStringify({ endpoint, params });
+
+    // Identical requests already on the wire share one response
+    if (this.inFlight.has(key)) {
+      this.endpointStats(endpoint).coalesced++;
+      return this.inFlight.get(key);
+    }
+
+    const request = this.recorder
+      .wrap('tmdb', { endpoint, params }, () => this.fetchWithRetry(endpoint, params, timeout))
+      .finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  async fetchWithRetry(endpoint, params, timeout) {
+    const stats = this.endpointStats(endpoint);
+    const auth = this.authOptions();
+
+    for (let attempt = 0; ; attempt++) {
+      const startTime = Date.now();
+      try {
+        const response = await axios.get(`${this.baseUrl}${endpoint}`, {
+          headers: auth.headers,
+          params: { ...auth.params, ...params },
+          timeout,
+        });
+        this.recordLatency(stats, Date.now() - startTime);
+        metrics.tmdbRequests.inc({ endpoint: endpointLabel(endpoint), status: response.status });
+        return response.data;
+      } catch (error) {
+        this.recordLatency(stats, Date.now() - startTime);
+        const status = error.response?.status;
+        metrics.tmdbRequests.inc({ endpoint: endpointLabel(endpoint), status: status || error.code || 'error' });
+        if (status === 429) {
+          stats.rate_limited++;
+          metrics.tmdbRateLimited.inc({ endpoint: endpointLabel(endpoint) });
+        }
+
+        if (attempt >= this.maxRetries || !this.isRetryable(error)) {
+          stats.errors++;
+          throw error;
+        }
+
+        const delay = this.retryDelay(attempt, error);
+        stats.retries++;
+        log.debug(`  🔁 TMDB ${endpoint} failed (${status || error.code || error.message}) - retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  isRetryable(error) {
+    const status = error.response?.status;
+    if (status) return status === 429 || status >= 500;
+    return RETRYABLE_CODES.includes(error.code);
+  }
+
+  retryDelay(attempt, error) {
+    if (error.response?.status === 429) {
+      const fromHeader = retryAfterMs(error.response.headers?.['retry-after']);
+      if (fromHeader !== null) return Math.min(fromHeader, this.maxDelay * 3);
+    }
+    const exponential = this.baseDelay * 2 ** attempt;
+    const jitter = Math.random() * this.baseDelay;
+    return Math.round(Math.min(exponential + jitter, this.maxDelay));
+  }
+
+  endpointStats(endpoint) {
+    const label = endpointLabel(endpoint);
+    if (!this.stats[label]) {
+      this.stats[label] = {
+        requests: 0, errors: 0, retries: 0, rate_limited: 0, coalesced: 0, total_ms: 0, max_ms: 0,
+      };
+    }
+    return this.stats[label];
+  }
+
+  recordLatency(stats, ms) {
+    stats.requests++;
+    stats.total_ms += ms;
+    stats.max_ms = Math.max(stats.max_ms, ms);
+  }
+
+  getStats() {
+    const endpoints = {};
+    Object.entries(this.stats).forEach(([label, stats]) => {
+      endpoints[label] = {
+        ...stats,
+        avg_ms: stats.requests ? Math.round(stats.total_ms / stats.requests) : 0,
+      };
+    });
+    return { in_flight: this.inFlight.size, endpoints };
+  }
+}
+
+module.exports = TmdbClient;
@@ -0,0 +1,96 @@
+// server/watchProviders.js
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'watch-providers' });
+
+const PROVIDER_KINDS = ['flatrate', 'free', 'ads', 'rent', 'buy'];
+const DEFAULT_REGION = 'US';
+
+const normalizeRegion = (region) => {
+  const value = String(region || DEFAULT_REGION).trim().toUpperCase();
+  return /^[A-Z]{2}$/.test(value) ? value : DEFAULT_REGION;
+};
+
+const toProvider = (provider) => ({
+  provider_id: provider.provider_id,
+  provider_name: provider.provider_name,
+  logo_path: provider.logo_path,
+  display_priority: provider.display_priority,
+});
+
+class WatchProviders {
+  constructor(tmdb, cache) {
+    this.tmdb = tmdb;
+    this.cache = cache;
+  }
+
+  // Availability for one title in one region, grouped by kind (flatrate = included in a subscription)
+  async getProviders(type, id, region) {
+    region = normalizeRegion(region);
+    const allRegions = await this.cache.wrap('providers', `${type}_${id}`, async () => {
+      const data = await this.tmdb.get(`/${type}/${id}/watch/providers`);
+      return data.results || {};
+    });
+
+    const regional = allRegions[region] || {};
+    const providers = { region, link: regional.link || null };
+    PROVIDER_KINDS.forEach(kind => {
+      providers[kind] = (regional[kind] || []).map(toProvider);
+    });
+    return providers;
+  }
+
+  // Every provider TMDB knows about for a region, for building a "my services" picker
+  async listProviders(type, region) {
+    region = normalizeRegion(region);
+    return this.cache.wrap('providers', `list_${type}_${region}`, async () => {
+      const data = await this.tmdb.get(`/watch/providers/${type}`, { watch_region: region });
+      return (data.results || [])
+        .map(provider => ({
+          ...toProvider(provider),
+          display_priority: provider.display_priorities?.[region] ?? provider.display_priority,
+        }))
+        .sort((a, b) => (a.display_priority ?? 999) - (b.display_priority ?? 999));
+    });
+  }
+
+  // Keeps items streamable (flatrate/free/ads) on at least one of providerIds. Lookups stop after
+  // maxChecks items or once stopAfter have been kept; the rest are returned after the kept ones,
+  // in order, with availability_unchecked set.
+  async filterByServices(items, { region, providerIds, fallbackType, batchSize = 5, maxChecks = Infinity, stopAfter = Infinity }) {
+    const wanted = new Set(providerIds.map(Number));
+    const kept = [];
+    let checkedCount = 0;
+
+    while (checkedCount < Math.min(items.length, maxChecks) && kept.length < stopAfter) {
+      const batch = items.slice(checkedCount, Math.min(checkedCount + batchSize, maxChecks));
+      checkedCount += batch.length;
+      const checked = await Promise.all(batch.map(async item => {
+        try {
+          const type = item.media_type || fallbackType || (item.title ? 'movie' : 'tv');
+          const providers = await this.getProviders(type, item.id, region);
+          const streaming = [...providers.flatrate, ...providers.free, ...providers.ads]
+            .filter(provider => wanted.has(provider.provider_id));
+          return streaming.length > 0 ? { ...item, available_on: streaming } : null;
+        } catch (error) {
+          log.warn(`  ⚠️ Watch providers lookup failed for ${item.id}: ${error.message}`);
+          return null;
+        }
+      }));
+      checked.forEach(item => {
+        if (item) kept.push(item);
+      });
+    }
+
+    const unchecked = items.slice(checkedCount).map(item => ({ ...item, available_on: null, availability_unchecked: true }));
+    return [...kept, ...unchecked];
+  }
+}
+
+const parseProviderIds = (value) => [].concat(value || [])
+  .flatMap(entry => String(entry).split(','))
+  .map(entry => entry.trim())
+  .filter(entry => /^\d+$/.test(entry))
+  .map(Number);
+
+module.exports = { WatchProviders, normalizeRegion, parseProviderIds, PROVIDER_KINDS };